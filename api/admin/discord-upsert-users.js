@@ -1,5 +1,6 @@
 // Securely upsert Discord usernames so leaderboards show names instead of numeric IDs.
-// Call this from your Discord bot with a shared secret.
+// The bot keeps discord_users current itself (discordProfiles.js); this endpoint is
+// for anything else that wants to push profiles, with the shared secret.
 
 import { createClient } from '@supabase/supabase-js';
 
@@ -0,0 +1,26 @@
+// Ends an admin panel session (lib/adminSessions.js) before it expires. Only the
+// signature is checked, not liveness, so logging out twice or after expiry is fine.
+//
+// POST { token, server_id } → { ok }
+import { createClient } from '@supabase/supabase-js';
+import { revokeAdminSession } from '../../lib/adminSessions.js';
+
+const SUPABASE_URL = process.env.SUPABASE_URL;
+const SUPABASE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY;
+const supabase = createClient(SUPABASE_URL, SUPABASE_KEY);
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
+
+  try {
+    const { token, server_id } = req.body || {};
+    if (!server_id) return res.status(400).json({ error: 'server_id required' });
+
+    const result = await revokeAdminSession(supabase, token, server_id);
+    if (!result.ok) return res.status(result.status).json({ error: result.error });
+    return res.status(200).json({ ok: true });
+  } catch (e) {
+    console.error('admin/logout error:', e);
+    return res.status(500).json({ error: 'Internal error' });
+  }
+}
@@ -0,0 +1,64 @@
+// A token's wheel name/image and the pool's balances, for the admin panel's token
+// view. The panel used to get these from /api/spin with a spin link; it now holds
+// an admin session (lib/adminSessions.js), which /api/spin doesn't take.
+//
+// POST { token, server_id, contract_address } → { contract_address, tokenConfig, adminInfo, role }
+import { createClient } from '@supabase/supabase-js';
+import { requireAdmin } from '../../lib/auth.js';
+import { payoutBackend } from '../../lib/payout/index.js';
+
+const SUPABASE_URL = process.env.SUPABASE_URL;
+const SUPABASE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY;
+const supabase = createClient(SUPABASE_URL, SUPABASE_KEY);
+
+const BASE58_RE = /^[1-9A-HJ-NP-Za-km-z]{20,}$/;
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
+
+  try {
+    const { token, server_id } = req.body || {};
+    const contract_address = String(req.body?.contract_address || '').trim();
+
+    const gate = await requireAdmin(supabase, token, server_id);
+    if (!gate.ok) return res.status(gate.status).json({ error: gate.error });
+    if (!BASE58_RE.test(contract_address)) return res.status(400).json({ error: 'Valid contract_address required' });
+
+    const { data: cfg, error } = await supabase
+      .from('wheel_configurations')
+      .select('token_name, image_url, decimals')
+      .eq('server_id', server_id)
+      .eq('contract_address', contract_address)
+      .maybeSingle();
+    if (error) return res.status(500).json({ error: error.message });
+    if (!cfg) return res.status(404).json({ error: 'No wheel configuration for this mint on this server' });
+
+    // Balances are best-effort, as on the wheel page: the panel shows — for what it can't read.
+    let adminInfo = {};
+    try {
+      const payout = payoutBackend();
+      const poolAddr = payout.fundingAddress();
+      const lamports = await payout.solBalance();
+      let tokenBase = 0;
+      try {
+        tokenBase = await payout.tokenBalance(contract_address);
+      } catch {}
+      adminInfo = { poolAddr, gasAmt: lamports / 1e9, tokenAmt: tokenBase / (10 ** (Number(cfg.decimals) || 0)) };
+    } catch (e) {
+      console.error('admin/pool balances:', e?.message || e);
+    }
+
+    return res.status(200).json({
+      contract_address,
+      tokenConfig: {
+        token_name: cfg.token_name || 'Token',
+        image_url: cfg.image_url || '/img/Wheel_Generic_800px.webp',
+      },
+      adminInfo,
+      role: gate.role,
+    });
+  } catch (e) {
+    console.error('admin/pool error:', e);
+    return res.status(500).json({ error: 'Internal error' });
+  }
+}
@@ -0,0 +1,31 @@
+// Superadmin trigger for the spin reconcilers (lib/reconcile.js): recover spins
+// stuck in `reserved`, then settle `review` ones. The bot runs both on a timer
+// across all servers; this runs them now, for one server.
+import { createClient } from '@supabase/supabase-js';
+import { requireAdmin } from '../../lib/auth.js';
+import { reconcileReviewSpins, recoverReservedSpins } from '../../lib/reconcile.js';
+import { payoutBackend } from '../../lib/payout/index.js';
+
+const SUPABASE_URL = process.env.SUPABASE_URL;
+const SUPABASE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY;
+const supabase = createClient(SUPABASE_URL, SUPABASE_KEY);
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
+
+  try {
+    const { token, server_id } = req.body || {};
+
+    const gate = await requireAdmin(supabase, token, server_id, { superadmin: true });
+    if (!gate.ok) return res.status(gate.status).json({ error: gate.error });
+
+    const payout = payoutBackend();
+    // Recovery first: it can escalate reserved spins into `review` for the second pass.
+    const reserved = await recoverReservedSpins({ supabase, payout, server_id });
+    const review = await reconcileReviewSpins({ supabase, payout, server_id });
+    return res.status(200).json({ ok: true, reserved, review });
+  } catch (e) {
+    console.error('admin/reconcile error:', e);
+    return res.status(500).json({ error: 'Internal error' });
+  }
+}
@@ -0,0 +1,41 @@
+// Accounts refused by this server's anti-abuse rules (lib/sybil.js), most recent
+// first, for the admin panel. Read-only; any admin can view.
+import { createClient } from '@supabase/supabase-js';
+import { requireAdmin } from '../../lib/auth.js';
+import { displayNames } from '../../lib/discordUsers.js';
+
+const SUPABASE_URL = process.env.SUPABASE_URL;
+const SUPABASE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY;
+const supabase = createClient(SUPABASE_URL, SUPABASE_KEY);
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
+
+  try {
+    const { token, server_id } = req.body || {};
+
+    const gate = await requireAdmin(supabase, token, server_id);
+    if (!gate.ok) return res.status(gate.status).json({ error: gate.error });
+
+    const { data: flags, error } = await supabase
+      .from('sybil_flags')
+      .select('discord_id, wallet_address, rule, detail, first_flagged_at, last_flagged_at')
+      .eq('server_id', server_id)
+      .order('last_flagged_at', { ascending: false })
+      .limit(200);
+    if (error) return res.status(500).json({ error: error.message });
+
+    let nameById = new Map();
+    try {
+      nameById = await displayNames(supabase, (flags || []).map(f => f.discord_id));
+    } catch (e) {
+      console.error('admin/sybil names:', e.message); // names are a nicety; IDs still show
+    }
+
+    const items = (flags || []).map(f => ({ ...f, name: nameById.get(String(f.discord_id)) || null }));
+    return res.status(200).json({ items });
+  } catch (e) {
+    console.error('admin/sybil error:', e);
+    return res.status(500).json({ error: 'Internal error' });
+  }
+}
@@ -1,5 +1,6 @@
 import { createClient } from '@supabase/supabase-js';
 import { requireAdmin } from '../../lib/auth.js';
+import { checkMint } from '../../lib/mint.js';
 
 const SUPABASE_URL = process.env.SUPABASE_URL;
 const SUPABASE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY;
@@ -109,12 +110,20 @@ export default async function handler(req, res) {
 
       const { data: cur, error: curErr } = await supabase
         .from('server_tokens')
-        .select('enabled')
+        .select('enabled, decimals')
         .eq('server_id', server_id)
         .eq('contract_address', addr)
         .single();
       if (curErr || !cur) return res.status(400).json({ error: 'Token not found on this server' });
 
+      // Re-enabling gets the same mint check as adding: rows added before it
+      // existed were never verified.
+      let checked = null;
+      if (!cur.enabled) {
+        checked = await checkMint(addr, cur.decimals);
+        if (!checked.ok) return res.status(checked.status).json({ error: checked.error, mint: checked.mint || null });
+      }
+
       const { error: updErr } = await supabase
         .from('server_tokens')
         .update({ enabled: !cur.enabled })
@@ -122,7 +131,11 @@ export default async function handler(req, res) {
         .eq('contract_address', addr);
       if (updErr) return res.status(400).json({ error: updErr.message });
 
-      return res.status(200).json({ ok: true, enabled: !cur.enabled });
+      return res.status(200).json({
+        ok: true,
+        enabled: !cur.enabled,
+        ...(checked && { mint: checked.mint, warnings: checked.warnings }),
+      });
     }
 
     if (action === 'add') {
@@ -143,6 +156,9 @@ export default async function handler(req, res) {
         return res.status(400).json({ error: 'Create a wheel configuration for this server and mint first' });
       }
 
+      const checked = await checkMint(addr, cfg.decimals);
+      if (!checked.ok) return res.status(checked.status).json({ error: checked.error, mint: checked.mint || null });
+
       // server_tokens.mint_address and .decimals are NOT NULL with no defaults, so
       // the previous payload could never insert — "add" failed 100% of the time.
       // Verified against the live schema.
@@ -152,12 +168,12 @@ export default async function handler(req, res) {
           server_id,
           contract_address: addr,
           mint_address: addr,
-          decimals: cfg.decimals,
+          decimals: checked.mint.decimals ?? cfg.decimals,
           enabled: true,
         }, { onConflict: 'server_id,contract_address' });
       if (insErr) return res.status(400).json({ error: insErr.message });
 
-      return res.status(200).json({ ok: true });
+      return res.status(200).json({ ok: true, mint: checked.mint, warnings: checked.warnings });
     }
 
     return res.status(400).json({ error: 'Unknown action' });
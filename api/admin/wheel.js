@@ -0,0 +1,213 @@
+// Superadmin CRUD for a server's wheel_configurations rows. Until this existed
+// every new wheel was hand-written SQL, even though /settoken and both token admin
+// endpoints refuse a mint that has no wheel yet.
+//
+// POST { token, server_id, action, contract_address, ... }
+//   list                                   → { items, role }      (any admin)
+//   get     contract_address               → { item, odds }       (any admin)
+//   preview fields (unsaved draft)          → { ok, errors, odds } (any admin)
+//   create  contract_address + fields      → { ok, item }
+//   update  contract_address + fields      → { ok, item }         (only fields given change)
+//   clone   contract_address (target) + source_contract_address
+//           [+ source_server_id + source_session, + field overrides] → { ok, item }
+//   delete  contract_address               → { ok }
+// Fields: token_name, payout_amounts, payout_weights, decimals, image_url.
+import { createClient } from '@supabase/supabase-js';
+import { requireAdmin } from '../../lib/auth.js';
+import { validateWheelConfig, wheelOdds } from '../../lib/wheel.js';
+import { checkMint } from '../../lib/mint.js';
+
+const SUPABASE_URL = process.env.SUPABASE_URL;
+const SUPABASE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY;
+const supabase = createClient(SUPABASE_URL, SUPABASE_KEY);
+
+const BASE58_RE = /^[1-9A-HJ-NP-Za-km-z]{20,}$/;
+const validMint = (s) => !!s && BASE58_RE.test(String(s).trim());
+
+const COLUMNS = 'server_id, contract_address, token_name, payout_amounts, payout_weights, decimals, image_url';
+const FIELDS = ['token_name', 'payout_amounts', 'payout_weights', 'decimals', 'image_url'];
+
+function pickFields(body) {
+  const out = {};
+  for (const f of FIELDS) if (body[f] !== undefined) out[f] = body[f];
+  return out;
+}
+
+// Validate the row as it will be stored and return the columns to write, or
+// { errors } for a 400.
+function prepare(row) {
+  const checked = validateWheelConfig(row);
+  if (!checked.ok) return { errors: checked.errors };
+
+  const token_name = String(row.token_name ?? '').trim();
+  if (!token_name) return { errors: ['token_name is required'] };
+  if (token_name.length > 64) return { errors: ['token_name must be 64 characters or fewer'] };
+
+  const image_url = row.image_url == null ? null : String(row.image_url).trim() || null;
+  if (image_url && !/^https:\/\//i.test(image_url)) return { errors: ['image_url must be an https:// URL'] };
+
+  return { row: { token_name, image_url, ...checked.value } };
+}
+
+async function loadWheel(server_id, contract_address) {
+  const { data, error } = await supabase
+    .from('wheel_configurations')
+    .select(COLUMNS)
+    .eq('server_id', server_id)
+    .eq('contract_address', contract_address)
+    .maybeSingle();
+  if (error) throw error;
+  return data;
+}
+
+export default async function handler(req, res) {
+  try {
+    if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
+
+    const body = req.body || {};
+    const { token, server_id, action } = body;
+    if (!token || !server_id) return res.status(400).json({ error: 'token and server_id required' });
+
+    const gate = await requireAdmin(supabase, token, server_id);
+    if (!gate.ok) return res.status(gate.status).json({ error: gate.error });
+
+    if (action === 'list' || !action) {
+      const { data, error } = await supabase
+        .from('wheel_configurations')
+        .select(COLUMNS)
+        .eq('server_id', server_id)
+        .order('token_name', { ascending: true });
+      if (error) return res.status(400).json({ error: error.message });
+      return res.status(200).json({ items: data || [], role: gate.role });
+    }
+
+    // Odds for a draft, straight from the functions the spin flow draws with, so
+    // the editor can't disagree with what players will actually get.
+    if (action === 'preview') {
+      const checked = validateWheelConfig(body);
+      const amounts = Array.isArray(body.payout_amounts) ? body.payout_amounts : [];
+      const odds = checked.ok
+        ? wheelOdds(checked.value.payout_amounts, checked.value.payout_weights)
+        : amounts.length ? wheelOdds(amounts, Array.isArray(body.payout_weights) ? body.payout_weights : []) : null;
+      return res.status(200).json({ ok: checked.ok, errors: checked.errors || [], odds });
+    }
+
+    const addr = String(body.contract_address || '').trim();
+    if (!validMint(addr)) return res.status(400).json({ error: 'Valid contract_address required' });
+
+    if (action === 'get') {
+      const item = await loadWheel(server_id, addr);
+      if (!item) return res.status(404).json({ error: 'No wheel configuration for this mint on this server' });
+      const amounts = Array.isArray(item.payout_amounts) ? item.payout_amounts : [];
+      return res.status(200).json({ item, odds: amounts.length ? wheelOdds(amounts, item.payout_weights || []) : null });
+    }
+
+    // Everything below writes, and the wheel decides what the pool pays out.
+    if (gate.role !== 'superadmin') return res.status(403).json({ error: 'Superadmin required' });
+
+    if (action === 'create' || action === 'clone') {
+      if (await loadWheel(server_id, addr)) {
+        return res.status(409).json({ error: 'This server already has a wheel for that mint; use update' });
+      }
+
+      let base = {};
+      if (action === 'clone') {
+        const srcServer = String(body.source_server_id || server_id);
+        const srcAddr = String(body.source_contract_address || '').trim();
+        if (!validMint(srcAddr)) return res.status(400).json({ error: 'Valid source_contract_address required' });
+        if (srcServer !== String(server_id)) {
+          // Copying another server's wheel discloses its odds; require the same rights
+          // there. Sessions are per server, so that takes one issued on the source server.
+          const srcGate = await requireAdmin(supabase, body.source_session, srcServer, { superadmin: true });
+          if (!srcGate.ok) return res.status(srcGate.status).json({ error: `Source server: ${srcGate.error}` });
+        }
+        const src = await loadWheel(srcServer, srcAddr);
+        if (!src) return res.status(404).json({ error: 'Source wheel configuration not found' });
+        const { server_id: _s, contract_address: _c, ...copy } = src;
+        base = copy;
+      }
+
+      const prepared = prepare({ ...base, ...pickFields(body) });
+      if (prepared.errors) return res.status(400).json({ error: prepared.errors[0], errors: prepared.errors });
+
+      const { data: item, error } = await supabase
+        .from('wheel_configurations')
+        .insert({ server_id, contract_address: addr, ...prepared.row })
+        .select(COLUMNS)
+        .single();
+      if (error) return res.status(400).json({ error: error.message });
+      return res.status(200).json({ ok: true, item });
+    }
+
+    if (action === 'update') {
+      const cur = await loadWheel(server_id, addr);
+      if (!cur) return res.status(404).json({ error: 'No wheel configuration for this mint on this server' });
+
+      const prepared = prepare({ ...cur, ...pickFields(body) });
+      if (prepared.errors) return res.status(400).json({ error: prepared.errors[0], errors: prepared.errors });
+
+      // New decimals on an enabled token get the same mint check as enabling it
+      // (lib/mint.js); otherwise the next spin pays 10^n times the wrong amount.
+      if (Number(cur.decimals) !== prepared.row.decimals) {
+        const { data: st, error: stErr } = await supabase
+          .from('server_tokens')
+          .select('enabled')
+          .eq('server_id', server_id)
+          .eq('contract_address', addr)
+          .maybeSingle();
+        if (stErr) return res.status(500).json({ error: 'Could not check whether this token is enabled' });
+        if (st && st.enabled !== false) {
+          const checked = await checkMint(addr, prepared.row.decimals);
+          if (!checked.ok) return res.status(checked.status).json({ error: checked.error, mint: checked.mint || null });
+        }
+      }
+
+      const { data: item, error } = await supabase
+        .from('wheel_configurations')
+        .update(prepared.row)
+        .eq('server_id', server_id)
+        .eq('contract_address', addr)
+        .select(COLUMNS)
+        .single();
+      if (error) return res.status(400).json({ error: error.message });
+
+      // server_tokens keeps its own copy of decimals (set from this row on add).
+      if (Number(cur.decimals) !== prepared.row.decimals) {
+        await supabase
+          .from('server_tokens')
+          .update({ decimals: prepared.row.decimals })
+          .eq('server_id', server_id)
+          .eq('contract_address', addr);
+      }
+      return res.status(200).json({ ok: true, item });
+    }
+
+    if (action === 'delete') {
+      const { data: st } = await supabase
+        .from('server_tokens')
+        .select('enabled')
+        .eq('server_id', server_id)
+        .eq('contract_address', addr)
+        .maybeSingle();
+      // An enabled token with no wheel fails every spin with "Invalid wheel configuration".
+      if (st && st.enabled !== false) {
+        return res.status(409).json({ error: 'This token is enabled on the server; disable it before deleting its wheel' });
+      }
+
+      const { data: gone, error } = await supabase
+        .from('wheel_configurations')
+        .delete()
+        .eq('server_id', server_id)
+        .eq('contract_address', addr)
+        .select('contract_address');
+      if (error) return res.status(400).json({ error: error.message });
+      if (!gone?.length) return res.status(404).json({ error: 'No wheel configuration for this mint on this server' });
+      return res.status(200).json({ ok: true });
+    }
+
+    return res.status(400).json({ error: 'Unknown action' });
+  } catch (e) {
+    console.error('admin/wheel fatal:', e);
+    return res.status(500).json({ error: 'Internal error' });
+  }
+}
@@ -1,5 +1,6 @@
 import { createClient } from '@supabase/supabase-js';
-import { createHmac } from 'crypto';
+import { checkMint } from '../lib/mint.js';
+import { requireAdmin } from '../lib/auth.js';
 
 const SUPABASE_URL = process.env.SUPABASE_URL;
 const SUPABASE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY;
@@ -13,35 +14,13 @@ export default async function handler(req, res) {
   if (req.method !== 'POST') return deny(res, 405, 'Method not allowed');
 
   try {
-    const { token: signedToken, server_id, action, contract_address } = req.body || {};
-    if (!signedToken) return deny(res, 400, 'Token required');
+    const { token, server_id, action, contract_address } = req.body || {};
+    if (!token) return deny(res, 400, 'Admin session required');
     if (!server_id || !isDigits(server_id)) return deny(res, 400, 'Server ID required');
 
-    const TOKEN_SECRET = process.env.SPIN_KEY;
-    if (!TOKEN_SECRET) return deny(res, 500, 'Server configuration error');
-
-    const [tokenPart, signature] = String(signedToken).split('.');
-    if (!tokenPart || !signature) return deny(res, 400, 'Invalid token format');
-    const expected = createHmac('sha256', TOKEN_SECRET).update(tokenPart).digest('hex');
-    if (signature !== expected) return deny(res, 403, 'Invalid or forged token');
-
-    // Who is the user?
-    const { data: tok, error: tokErr } = await supabase
-      .from('spin_tokens')
-      .select('discord_id')
-      .eq('token', signedToken)
-      .single();
-    if (tokErr || !tok) return deny(res, 400, 'Invalid token');
-
-    const { data: admin, error: adminErr } = await supabase
-      .from('server_admins')
-      .select('role')
-      .eq('discord_id', tok.discord_id)
-      .eq('server_id', server_id)
-      .single();
-    if (adminErr || !admin || !['admin','superadmin'].includes(admin.role)) {
-      return deny(res, 403, 'Admin only');
-    }
+    const gate = await requireAdmin(supabase, token, server_id);
+    if (!gate.ok) return deny(res, gate.status, gate.error);
+    const admin = { role: gate.role };
 
     // list: any admin can view
     if (action === 'list' || !action) {
@@ -68,13 +47,28 @@ export default async function handler(req, res) {
 
     if (action === 'disable' || action === 'enable') {
       if (!contract_address || !isBase58(contract_address)) return deny(res, 400, 'Valid contract_address required');
+
+      // Enabling verifies the mint against the stored decimals, as adding does.
+      let checked = null;
+      if (action === 'enable') {
+        const { data: cur } = await supabase
+          .from('server_tokens')
+          .select('decimals')
+          .eq('server_id', server_id)
+          .eq('contract_address', contract_address)
+          .maybeSingle();
+        if (!cur) return deny(res, 400, 'Token not found on this server');
+        checked = await checkMint(contract_address, cur.decimals);
+        if (!checked.ok) return res.status(checked.status).json({ error: checked.error, mint: checked.mint || null });
+      }
+
       const upd = await supabase
         .from('server_tokens')
         .update({ enabled: action === 'enable' })
         .eq('server_id', server_id)
         .eq('contract_address', contract_address);
       if (upd.error) return deny(res, 400, upd.error.message);
-      return res.status(200).json({ ok: true });
+      return res.status(200).json({ ok: true, ...(checked && { mint: checked.mint, warnings: checked.warnings }) });
     }
 
     if (action === 'add') {
@@ -92,6 +86,9 @@ export default async function handler(req, res) {
         .maybeSingle();
       if (cfgErr || !cfg) return deny(res, 400, 'Create wheel_configurations first for this server and mint');
 
+      const checked = await checkMint(contract_address, cfg.decimals);
+      if (!checked.ok) return res.status(checked.status).json({ error: checked.error, mint: checked.mint || null });
+
       // insert if not present
       const { data: exists } = await supabase
         .from('server_tokens')
@@ -109,12 +106,12 @@ export default async function handler(req, res) {
             server_id,
             contract_address,
             mint_address: contract_address,
-            decimals: cfg.decimals,
+            decimals: checked.mint.decimals ?? cfg.decimals,
             enabled: true,
           });
         if (ins.error) return deny(res, 400, ins.error.message);
       }
-      return res.status(200).json({ ok: true });
+      return res.status(200).json({ ok: true, mint: checked.mint, warnings: checked.warnings });
     }
 
     return deny(res, 400, 'Unknown action');
@@ -1,5 +1,6 @@
 import { createClient } from '@supabase/supabase-js';
 import { requireAdmin } from '../lib/auth.js';
+import { displayNames } from '../lib/discordUsers.js';
 import { selectAllRows } from '../lib/fetchAll.js';
 
 const supabase = createClient(
@@ -113,19 +114,10 @@ export default async function handler(req, res) {
     // Resolve Discord usernames. The panel has always rendered `r.name || r.discord_id`
     // but nothing ever returned `name`, so the table only ever showed numeric IDs.
     try {
-      const ids = list.map(r => r.discord_id).filter(id => id && id !== 'unknown');
-      if (ids.length) {
-        const { data: users } = await supabase
-          .from('discord_users')
-          .select('discord_id, username, display_name, global_name')
-          .in('discord_id', ids);
-        const nameById = new Map(
-          (users || []).map(u => [String(u.discord_id), u.display_name || u.global_name || u.username])
-        );
-        for (const r of list) {
-          const n = nameById.get(String(r.discord_id));
-          if (n) r.name = n;
-        }
+      const nameById = await displayNames(supabase, list.map(r => r.discord_id));
+      for (const r of list) {
+        const n = nameById.get(String(r.discord_id));
+        if (n) r.name = n;
       }
     } catch {
       // discord_users is optional — fall back to showing IDs.
@@ -1,6 +1,7 @@
 // /api/chart.js
 // Returns { labels, spins, totalPayout, yMaxLeft, yMaxRight, token_name, decimals }
-// Buckets daily_spins by day in the caller's timezone. Admin-only.
+// Buckets daily_spins by the server's spin day (reset time zone + hour from
+// server_settings), so a bar here is the same "day" the spin limit counts. Admin-only.
 //
 // This endpoint was doubly broken:
 //  1. It selected `created_at_utc` and `amount_base`, neither of which exists on
@@ -14,6 +15,8 @@
 import { createClient } from '@supabase/supabase-js';
 import { requireAdmin } from '../lib/auth.js';
 import { selectAllRows } from '../lib/fetchAll.js';
+import { loadServerSettings } from '../lib/serverSettings.js';
+import { spinDayFor } from '../lib/spinDay.js';
 
 function jsonError(res, status, message, details) {
   res.status(status).json({ error: message, details });
@@ -45,7 +48,6 @@ export default async function handler(req, res) {
       server_id,
       contract_address,
       view = contract_address ? 'token' : 'server',
-      tz = 'America/New_York',
       range = '30d',
     } = src;
 
@@ -92,17 +94,16 @@ export default async function handler(req, res) {
 
     if (error) return jsonError(res, 500, 'DB fetch error', error.message);
 
-    // Aggregate by day in the requested timezone (en-CA formats as YYYY-MM-DD)
-    const fmt = new Intl.DateTimeFormat('en-CA', {
-      timeZone: tz, year: 'numeric', month: '2-digit', day: '2-digit',
-    });
+    // Aggregate by spin day. A caller-supplied `tz` used to pick the zone here,
+    // which let the chart disagree with the bot about which day a spin was on.
+    const settings = await loadServerSettings(supabase, server_id);
 
     const dayMap = new Map();
     for (const r of rows || []) {
       if (!r.created_at) continue;
       const d = new Date(r.created_at);
       if (Number.isNaN(d.getTime())) continue;
-      const day = fmt.format(d);
+      const day = spinDayFor(d, settings);
 
       const base = r.payout_amount_raw != null
         ? Number(String(r.payout_amount_raw).split('.')[0])
@@ -139,6 +140,8 @@ export default async function handler(req, res) {
       yMaxRight: Math.max(1, ...totalPayout),
       token_name,
       decimals,
+      reset_timezone: settings.reset_timezone,
+      reset_hour: settings.reset_hour,
     });
   } catch (e) {
     return jsonError(res, 500, 'Unhandled chart error', String(e?.message || e));
@@ -1,86 +1,46 @@
 // /api/spin.js
 import { createClient } from '@supabase/supabase-js';
-import { Connection, PublicKey, Keypair } from '@solana/web3.js';
-import {
-  getAssociatedTokenAddress,
-  createAssociatedTokenAccountInstruction,
-  createTransferInstruction,
-} from '@solana/spl-token';
-import { randomInt } from 'crypto';
-import { sendTxWithFreshBlockhash } from '../lib/solanaSend.js';
 import { verifySignedToken } from '../lib/auth.js';
-
-function utcDateStringYYYYMMDD(d = new Date()) {
-  const y = d.getUTCFullYear();
-  const m = String(d.getUTCMonth() + 1).padStart(2, '0');
-  const day = String(d.getUTCDate()).padStart(2, '0');
-  return `${y}-${m}-${day}`;
-}
-
-function pickWeightedIndex(weights) {
-  // Sanitise: a NaN/negative weight from bad config used to make randomInt() throw,
-  // which aborted the request *after* the daily slot had been consumed.
-  const safe = weights.map((w) => {
-    const n = Math.floor(Number(w));
-    return Number.isFinite(n) && n > 0 ? n : 0;
-  });
-  const total = safe.reduce((a, b) => a + b, 0);
-  if (total <= 0) return randomInt(0, Math.max(1, safe.length)); // all-zero config → uniform
-  const r = randomInt(0, total);
-  let acc = 0;
-  for (let i = 0; i < safe.length; i++) {
-    acc += safe[i];
-    if (r < acc) return i;
-  }
-  return safe.length - 1;
-}
-
-function tierForAmount(amount, amounts) {
-  // Rank by prize VALUE, not by position in the array. The old index-based version
-  // silently mislabelled every wheel whose payout_amounts weren't sorted ascending.
-  const tiers = ['common', 'uncommon', 'rare', 'epic', 'legendary', 'mythic'];
-  const distinct = [...new Set(amounts.map(Number))].sort((a, b) => a - b);
-  if (distinct.length <= 1) return 'common';
-  const rank = distinct.indexOf(Number(amount));
-  if (rank < 0) return 'common';
-  const scaled = Math.floor((rank / (distinct.length - 1)) * (tiers.length - 1));
-  return tiers[Math.max(0, Math.min(tiers.length - 1, scaled))];
-}
-
-// Decimal-string → integer base units. `display * 10**decimals` in floating point
-// truncated some prizes down by one base unit (e.g. 8.2 * 1e6 = 8199999.999...).
-function toBaseUnits(display, decimals) {
-  const s = String(display).trim();
-  if (!/^-?\d*(\.\d*)?$/.test(s) || s === '' || s === '.') return NaN;
-  const neg = s.startsWith('-');
-  const [intPart = '0', fracPart = ''] = s.replace('-', '').split('.');
-  const frac = (fracPart + '0'.repeat(decimals)).slice(0, decimals);
-  const n = Number(`${intPart}${frac}`.replace(/^0+(?=\d)/, ''));
-  return neg ? -n : n;
-}
+import { pickWeightedIndex, tierForAmount, toBaseUnits, validateWheelConfig } from '../lib/wheel.js';
+import { allowancePolicy, spinAllowance, claimSpinSlot } from '../lib/allowance.js';
+import { loadServerSettings } from '../lib/serverSettings.js';
+import { isExpired } from '../lib/spinTokens.js';
+import { budgetPolicy, budgetHeadroom, redrawWithinBudget } from '../lib/budget.js';
+import { recordRefusal } from '../lib/pool.js';
+import { newServerSeed, hashSeed, normalizeClientSeed, newClientSeed, seededRandomInt } from '../lib/fairness.js';
+import { payoutBackend } from '../lib/payout/index.js';
+import { feeModeFor } from '../lib/payout/transferFee.js';
+import { isWalletVerified } from '../lib/walletVerify.js';
+import { sybilPolicy, checkSybil, recordSybilFlag } from '../lib/sybil.js';
+import { applyEntitlements, payoutMultiplier, applyMultiplier } from '../lib/roles.js';
+import { streakPolicy, spinStreak, floorTier } from '../lib/streaks.js';
+import { higherLevel } from '../lib/admins.js';
 
 export default async function handler(req, res) {
   res.setHeader('Content-Type', 'application/json');
 
   if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
 
-  const {
-    SUPABASE_URL,
-    SUPABASE_SERVICE_ROLE_KEY,
-    FUNDING_WALLET_PRIVATE_KEY,
-    SOLANA_RPC_URL = 'https://api.mainnet-beta.solana.com',
-  } = process.env;
+  const { SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY } = process.env;
+
+  // The SPL backend can only send with FUNDING_WALLET_PRIVATE_KEY; the mock ledger
+  // (lib/payout) needs no key at all.
+  let payout = null;
+  try {
+    payout = payoutBackend();
+  } catch (e) {
+    console.error('[spin] payout backend:', e?.message || e);
+  }
 
-  if (!SUPABASE_URL || !SUPABASE_SERVICE_ROLE_KEY || !FUNDING_WALLET_PRIVATE_KEY) {
+  if (!SUPABASE_URL || !SUPABASE_SERVICE_ROLE_KEY || !payout?.canSend) {
     console.error('[spin] Missing required env vars');
     return res.status(500).json({ error: 'Server is misconfigured.' });
   }
 
   const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY);
-  const connection = new Connection(SOLANA_RPC_URL, { commitment: 'confirmed' });
 
   try {
-    const { token: signedToken, server_id, spin, ata_check } = req.body || {};
+    const { token: signedToken, server_id, spin, ata_check, client_seed } = req.body || {};
     if (!signedToken) return res.status(400).json({ error: 'Token required' });
     if (!server_id) return res.status(400).json({ error: 'Server ID required' });
 
@@ -92,12 +52,16 @@ export default async function handler(req, res) {
     // Load spin token
     const { data: t, error: tErr } = await supabase
       .from('spin_tokens')
-      .select('token, server_id, discord_id, wallet_address, contract_address, status')
+      .select('token, server_id, discord_id, wallet_address, contract_address, status, expires_at, created_at, member_joined_at, entitlements, admin_role, server_seed, server_seed_hash')
       .eq('token', signedToken)
       .maybeSingle();
 
     if (tErr || !t) return res.status(400).json({ error: 'Invalid token' });
     if (t.server_id !== server_id) return res.status(400).json({ error: 'Token does not match server' });
+    if (t.status === 'revoked') return res.status(410).json({ error: 'This spin link was revoked. Run /spin for a new one.' });
+    if (t.status === 'expired' || isExpired(t)) {
+      return res.status(410).json({ error: 'This spin link has expired. Run /spin for a new one.' });
+    }
 
     const discord_id = t.discord_id;
     const wallet_address = t.wallet_address;
@@ -106,19 +70,42 @@ export default async function handler(req, res) {
     // Allowlist: token enabled for this server
     const { data: stRows, error: stErr } = await supabase
       .from('server_tokens')
-      .select('contract_address, enabled')
+      .select('contract_address, enabled, spin_limit, spin_window, spin_window_hours, payout_cap_daily, payout_cap_weekly, payout_cap_monthly, payout_cap_mode, transfer_fee_mode')
       .eq('server_id', server_id);
 
     if (stErr || !Array.isArray(stRows) || !stRows.length) {
       console.error('[spin] server_tokens error', stErr?.message);
       return res.status(400).json({ error: 'Server is not configured for any tokens' });
     }
-    const allowed = stRows.some(
+    const stRow = stRows.find(
       (r) => r.contract_address === contract_address && (r.enabled !== false)
     );
-    if (!allowed) return res.status(400).json({ error: 'This token is not enabled for this server' });
+    if (!stRow) return res.status(400).json({ error: 'This token is not enabled for this server' });
+    // Strict: the defaults would turn off the verified-wallet and anti-abuse checks below.
+    let settings;
+    try {
+      settings = await loadServerSettings(supabase, server_id, { strict: true });
+    } catch (e) {
+      console.error('[spin] settings error', e?.message || e);
+      return res.status(503).json({ error: 'Could not load server settings. Try again.' });
+    }
+    // Role entitlements (lib/roles.js) come from the link row the bot wrote, never the request.
+    const policy = applyEntitlements(allowancePolicy(stRow, settings), t.entitlements);
+    const roleMultiplier = payoutMultiplier(t.entitlements);
+    const budget = budgetPolicy(stRow, settings);
+    const allowanceKey = { server_id, discord_id, contract_address };
+    const streaks = streakPolicy(settings);
+    // A streak only changes the prize, so a failed read costs the bonus, not the spin.
+    const readStreak = async () => {
+      try {
+        return await spinStreak(supabase, allowanceKey, streaks, settings);
+      } catch (e) {
+        console.error('[spin] streak error', e?.message || e);
+        return null;
+      }
+    };
 
-    // Role check
+    // Role check: granted directly, or through a mapped Discord role as of /spin
     let role = null;
     {
       const { data: adminRow } = await supabase
@@ -127,7 +114,7 @@ export default async function handler(req, res) {
         .eq('server_id', server_id)
         .eq('discord_id', discord_id)
         .maybeSingle();
-      role = adminRow?.role || null;
+      role = higherLevel(adminRow?.role, t.admin_role);
     }
 
     // Wheel config (must be scoped by server_id + contract_address)
@@ -144,27 +131,21 @@ export default async function handler(req, res) {
     }
 
     const tokenName = cfg.token_name || 'Token';
-    const amounts = Array.isArray(cfg.payout_amounts) ? cfg.payout_amounts.map(Number) : [];
-    if (!amounts.length) return res.status(400).json({ error: 'Wheel has no payout amounts configured' });
-
-    const weights = Array.isArray(cfg.payout_weights) && cfg.payout_weights.length === amounts.length
-      ? cfg.payout_weights.map(Number)
-      : amounts.map(() => 1);
-
-    const decimals = Number.isFinite(Number(cfg.decimals)) ? Number(cfg.decimals) : 0;
+    // Same checks api/admin/wheel.js applies on save; rows written by hand before
+    // that existed can still fail them, and must not be spun.
+    const checked = validateWheelConfig(cfg);
+    if (!checked.ok) {
+      console.error(`[spin] bad wheel config ${server_id}/${contract_address}: ${checked.errors.join('; ')}`);
+      return res.status(400).json({ error: `Invalid wheel configuration: ${checked.errors[0]}` });
+    }
+    const { payout_amounts: amounts, payout_weights: weights, decimals } = checked.value;
 
     // ATA existence probe (read-only). atadetection.js has always called this; the
     // server never implemented it, so the helper screen could never succeed.
     if (ata_check && !spin) {
       let ata_exists = false;
       try {
-        if (wallet_address) {
-          const userAta = await getAssociatedTokenAddress(
-            new PublicKey(contract_address),
-            new PublicKey(wallet_address)
-          );
-          ata_exists = !!(await connection.getAccountInfo(userAta));
-        }
+        if (wallet_address) ata_exists = await payout.hasTokenAccount(wallet_address, contract_address);
       } catch {
         ata_exists = false;
       }
@@ -179,37 +160,27 @@ export default async function handler(req, res) {
 
     // Page load (no spin)
     if (!spin) {
-      let spins_left = 1;
+      let spins_left = policy.limit;
+      let next_reset_at = null;
 
       if (role === 'superadmin') {
         spins_left = 'Unlimited';
       } else {
-        const today = utcDateStringYYYYMMDD(new Date());
-        const { count } = await supabase
-          .from('daily_spins')
-          .select('id', { count: 'exact', head: true })
-          .eq('server_id', server_id)
-          .eq('discord_id', discord_id)
-          .eq('contract_address', contract_address)
-          .eq('spin_day', today);
-        const used = count ?? 0;
-        spins_left = Math.max(0, 1 - used);
+        try {
+          ({ spins_left, next_reset_at } = await spinAllowance(supabase, allowanceKey, policy));
+        } catch (e) {
+          console.error('[spin] allowance error', e?.message || e);
+        }
       }
 
       // adminInfo (pool wallet address + balances) is for admins only — never expose to regular users.
       let adminInfo = {};
       if (role === 'admin' || role === 'superadmin') try {
-        const funding = Keypair.fromSecretKey(Buffer.from(JSON.parse(FUNDING_WALLET_PRIVATE_KEY)));
-        const poolAddr = funding.publicKey.toBase58();
-
-        const mintPk = new PublicKey(contract_address);
-        const fromATA = await getAssociatedTokenAddress(mintPk, funding.publicKey);
-
-        const lamports = await connection.getBalance(funding.publicKey, 'confirmed');
+        const poolAddr = payout.fundingAddress();
+        const lamports = await payout.solBalance();
         let tokenBase = 0;
         try {
-          const balInfo = await connection.getTokenAccountBalance(fromATA, 'confirmed');
-          tokenBase = Number(balInfo?.value?.amount || 0) || 0;
+          tokenBase = await payout.tokenBalance(contract_address);
         } catch {}
 
         const gasAmt = lamports / 1e9;
@@ -220,6 +191,8 @@ export default async function handler(req, res) {
         adminInfo = {};
       }
 
+      const streak = await readStreak();
+
       return res.status(200).json({
         tokenConfig: {
           token_name: tokenName,
@@ -229,7 +202,12 @@ export default async function handler(req, res) {
         },
         role,
         spins_left,
+        next_reset_at,
+        spin_window: policy.window,
+        // The commitment only; the seed itself is revealed once the spin is drawn.
+        server_seed_hash: t.server_seed_hash || null,
         contract_address,
+        streak,
         adminInfo,
       });
     }
@@ -237,7 +215,37 @@ export default async function handler(req, res) {
     // SPIN FLOW
     if (!wallet_address) return res.status(400).json({ error: 'Wallet not set for this token' });
 
-    // Superadmins: allow spins without daily lock and without recording to daily_spins (avoids unique constraint)
+    // The link carries the wallet it was issued for; /spin checked it too, but the
+    // user may have changed wallets since.
+    if (settings.require_verified_wallet) {
+      let verified = false;
+      try {
+        verified = await isWalletVerified(supabase, discord_id, wallet_address);
+      } catch (e) {
+        console.error('[spin] wallet verification lookup failed', e?.message || e);
+        return res.status(503).json({ error: 'Could not check your wallet verification. Try again.' });
+      }
+      if (!verified) {
+        return res.status(403).json({ error: 'This server requires a verified wallet. Run /mywallet to verify it, then /spin again.' });
+      }
+    }
+
+    // Same rules /spin applied; the wallet may have picked up more accounts since.
+    if (role !== 'superadmin') {
+      let verdict;
+      try {
+        verdict = await checkSybil(supabase, { discord_id, wallet_address, member_joined_at: t.member_joined_at }, sybilPolicy(settings));
+      } catch (e) {
+        console.error('[spin] sybil check failed', e?.message || e);
+        return res.status(503).json({ error: 'Could not check spin eligibility. Try again.' });
+      }
+      if (!verdict.ok) {
+        await recordSybilFlag(supabase, { server_id, discord_id, wallet_address, rule: verdict.rule, detail: verdict.detail });
+        return res.status(403).json({ error: verdict.message });
+      }
+    }
+
+    // Superadmins: allow spins without the allowance and without recording to daily_spins
     const enforceDaily = role !== 'superadmin';
 
     // Reserve the token atomically
@@ -248,6 +256,8 @@ export default async function handler(req, res) {
       .eq('token', signedToken)
       .eq('server_id', server_id)
       .eq('status', 'issued')
+      // Re-checked here, not just above, so a link can't be spun in the instant it expires.
+      .or(`expires_at.is.null,expires_at.gt."${nowISO}"`)
       .select('token, discord_id, wallet_address, contract_address')
       .maybeSingle();
 
@@ -255,34 +265,41 @@ export default async function handler(req, res) {
       return res.status(409).json({ error: 'This spin token is not available' });
     }
 
-    // Enforce daily limit via DB unique constraint
+    // Enforce the allowance. claimSpinSlot() is atomic, so concurrent spins from
+    // several open links can't each see a free slot and all get paid.
     let dailyRowId = null;
     if (enforceDaily) {
-      const { data: ins, error: insErr } = await supabase
-        .from('daily_spins')
-        .insert([{
-          server_id,
-          discord_id,
-          wallet_address,
-          contract_address,
-          spin_token: signedToken,
-          payout_amount_raw: 0,
-          tier: null,
-          tx_signature: null,
-        }])
-        .select('id')
-        .single();
-
-      if (insErr || !ins) {
-        // User already spun today, void this token to stop repeated attempts
+      const claim = await claimSpinSlot(supabase, {
+        server_id,
+        discord_id,
+        wallet_address,
+        contract_address,
+        spin_token: signedToken,
+        payout_amount_raw: 0,
+        tier: null,
+        tx_signature: null,
+      }, policy);
+
+      if (claim.error === 'conflict') {
+        // Lost a race with another spin of ours; nothing was used, so hand the link back.
+        await supabase
+          .from('spin_tokens')
+          .update({ status: 'issued', reserved_at: null })
+          .eq('token', signedToken)
+          .eq('server_id', server_id);
+        return res.status(409).json({ error: 'Another spin is in progress. Please try again.' });
+      }
+      if (claim.error) {
+        if (claim.error !== 'limit') console.error('[spin] claim error', claim.error);
+        // Allowance used up (or unverifiable): void this token to stop repeated attempts
         await supabase
           .from('spin_tokens')
           .update({ status: 'void', reserved_at: null })
           .eq('token', signedToken)
           .eq('server_id', server_id);
-        return res.status(429).json({ error: 'Daily limit reached' });
+        return res.status(429).json({ error: 'Spin limit reached' });
       }
-      dailyRowId = ins.id;
+      dailyRowId = claim.id;
     }
 
     // Nothing has been submitted to the chain yet, so any failure from here to the
@@ -294,64 +311,140 @@ export default async function handler(req, res) {
       if (dailyRowId) await supabase.from('daily_spins').delete().eq('id', dailyRowId);
       await supabase
         .from('spin_tokens')
-        .update({ status: 'issued', reserved_at: null })
+        .update({ status: 'issued', reserved_at: null, tx_signature: null, tx_attempts: [] })
         .eq('token', signedToken)
         .eq('server_id', server_id);
     };
 
-    let idx, rewardDisplay, amountBase, tier, funding, ixs, sendCtx;
+    // Commit–reveal (lib/fairness.js). Links issued before seeds existed get one
+    // now: still replayable afterwards, just not committed to in advance.
+    const serverSeed = t.server_seed || newServerSeed();
+    const serverSeedHash = t.server_seed ? t.server_seed_hash : hashSeed(serverSeed);
+    const clientSeed = normalizeClientSeed(client_seed) || newClientSeed();
+
+    // Streak bonus (lib/streaks.js) compounds with the role multiplier.
+    const streak = await readStreak();
+    const multiplier = roleMultiplier * (1 + (streak?.bonus_pct || 0) / 100);
+    const minTier = streak?.min_tier || null;
+
+    let idx, rewardDisplay, amountBase, tier, prepared;
     try {
-      idx = pickWeightedIndex(weights);
-      rewardDisplay = Number(amounts[idx]);
-      amountBase = toBaseUnits(amounts[idx], decimals);
-      if (!Number.isFinite(amountBase) || amountBase < 0) {
-        throw new Error(`Bad payout amount in wheel config: ${amounts[idx]}`);
+      const rand = seededRandomInt(serverSeed, clientSeed);
+      const land = (i) => {
+        idx = i;
+        amountBase = toBaseUnits(amounts[idx], decimals);
+        if (!Number.isFinite(amountBase) || amountBase < 0) {
+          throw new Error(`Bad payout amount in wheel config: ${amounts[idx]}`);
+        }
+        amountBase = applyMultiplier(amountBase, multiplier);
+        rewardDisplay = multiplier === 1 ? Number(amounts[idx]) : amountBase / 10 ** decimals;
+        tier = tierForAmount(amounts[idx], amounts);
+      };
+      land(pickWeightedIndex(weights, rand));
+      if (minTier) land(floorTier(amounts, weights, idx, minTier, rand));
+
+      // Build the transfer (including any token accounts that must be created
+      // first). For a transfer-fee mint this also settles what actually leaves the
+      // pool and what reaches the winner (lib/payout/transferFee.js).
+      const prepare = () => payout.prepareTransfer({
+        mint: contract_address,
+        to: wallet_address,
+        amountRaw: amountBase,
+        decimals,
+        feeMode: feeModeFor(stRow),
+      });
+      prepared = await prepare();
+
+      // Payout caps (lib/budget.js), held against what leaves the pool: under
+      // gross_up that is the prize plus the transfer fee. Superadmin test spins have
+      // no daily_spins row, so they're held to the caps but never counted against them.
+      let overBudget = null;
+      let redrawHeadroom = null;
+      if (budget.capped) {
+        const budgetKey = { server_id, contract_address };
+        const room = await budgetHeadroom(supabase, budgetKey, budget, decimals, { exclude_id: dailyRowId });
+        if (prepared.sendRaw > room.headroom) {
+          // Slices are compared unscaled and before the fee, so scale the headroom
+          // down instead. The recount below catches a fee that isn't proportional.
+          const feeRatio = prepared.sendRaw > 0 ? amountBase / prepared.sendRaw : 1;
+          const sliceHeadroom = Math.floor(room.headroom * feeRatio / multiplier);
+          const redrawn = budget.mode === 'redraw'
+            ? redrawWithinBudget(amounts, weights, decimals, sliceHeadroom, rand)
+            : -1;
+          if (redrawn < 0) overBudget = room.limiting;
+          else {
+            land(redrawn);
+            redrawHeadroom = sliceHeadroom;
+            prepared = await prepare();
+          }
+        }
+        if (!overBudget && dailyRowId) {
+          // Write our spend into our own row before sending, then recount with it:
+          // two spins racing for the last of the budget can't both fit.
+          const { error: wErr } = await supabase
+            .from('daily_spins')
+            .update({ payout_amount_raw: prepared.receivedRaw, transfer_fee_raw: prepared.feeRaw })
+            .eq('id', dailyRowId);
+          if (wErr) throw new Error(`budget claim failed: ${wErr.message}`);
+          const after = await budgetHeadroom(supabase, budgetKey, budget, decimals);
+          if (after.headroom < 0) overBudget = after.limiting;
+        }
+      }
+      if (overBudget) {
+        await releaseSpin();
+        await recordRefusal(supabase, {
+          server_id, contract_address, level: 'warning',
+          detail: `${overBudget.window} payout cap reached (${overBudget.spent_raw} of ${overBudget.cap_raw} raw paid)`,
+        });
+        const when = overBudget.resets_at ? ` Try again after ${new Date(overBudget.resets_at).toUTCString()}.` : '';
+        return res.status(503).json({
+          error: `This wheel has paid out its ${overBudget.window} budget. Your spin has not been used.${when}`,
+          budget_resets_at: overBudget.resets_at,
+        });
       }
-      tier = tierForAmount(amounts[idx], amounts);
-
-      funding = Keypair.fromSecretKey(Buffer.from(JSON.parse(FUNDING_WALLET_PRIVATE_KEY)));
-      const userPk = new PublicKey(wallet_address);
-      const mintPk = new PublicKey(contract_address);
 
-      const fromATA = await getAssociatedTokenAddress(mintPk, funding.publicKey);
-      const toATA = await getAssociatedTokenAddress(mintPk, userPk);
+      // Everything /api/verify-spin needs to replay this draw, written before any
+      // money moves so review and recovery paths keep it too.
+      const { error: fErr } = await supabase
+        .from('spin_tokens')
+        .update({
+          server_seed: serverSeed,
+          server_seed_hash: serverSeedHash,
+          client_seed: clientSeed,
+          wheel_snapshot: {
+            token_name: tokenName,
+            payout_amounts: amounts,
+            payout_weights: weights,
+            decimals,
+            redraw_headroom: redrawHeadroom,
+            payout_multiplier: multiplier,
+            min_tier: minTier,
+            streak_days: streak?.days ?? null,
+          },
+        })
+        .eq('token', signedToken)
+        .eq('status', 'reserved');
+      if (fErr) throw new Error(`fairness record failed: ${fErr.message}`);
 
       // Check pool balance. Read inside the try (RPC may fail — then we just attempt
       // the transfer and handle failure), but act on the result outside it, so a
       // failing releaseSpin() can't be swallowed and let the payout continue.
       let poolBase = null;
       try {
-        const balInfo = await connection.getTokenAccountBalance(fromATA, 'confirmed');
-        const n = Number(balInfo?.value?.amount);
+        const n = await payout.tokenBalance(contract_address);
         poolBase = Number.isFinite(n) ? n : null;
       } catch {
         poolBase = null; // unknown → proceed and let the send surface any problem
       }
-      if (poolBase !== null && poolBase < amountBase) {
+      if (poolBase !== null && poolBase < prepared.sendRaw) {
         await releaseSpin();
+        await recordRefusal(supabase, {
+          server_id, contract_address,
+          detail: `pool holds ${poolBase} raw, prize needs ${prepared.sendRaw} raw`,
+        });
         return res.status(503).json({ error: 'Prize pool is low. Please try again later.' });
       }
 
-      // Build instructions with ATA create if needed
-      ixs = [];
-      const [fromInfo, toInfo] = await Promise.all([
-        connection.getAccountInfo(fromATA),
-        connection.getAccountInfo(toATA),
-      ]);
-
-      if (!fromInfo) {
-        ixs.push(createAssociatedTokenAccountInstruction(
-          funding.publicKey, fromATA, funding.publicKey, mintPk
-        ));
-      }
-      if (!toInfo) {
-        ixs.push(createAssociatedTokenAccountInstruction(
-          funding.publicKey, toATA, userPk, mintPk
-        ));
-      }
-
-      ixs.push(createTransferInstruction(fromATA, toATA, funding.publicKey, amountBase));
-
       // The pool can hold plenty of tokens and still be unable to move them: Solana
       // charges the funding wallet a fee in SOL, and refuses any transaction that
       // would drop the fee payer below the rent-exempt floor (890,880 lamports for a
@@ -359,30 +452,28 @@ export default async function handler(req, res) {
       // ~0.00204 SOL in rent on top. Without this check that shows up as a bare
       // "Token transfer failed", which says nothing about the actual cause — the pool
       // being out of gas. Check it up front and say so plainly instead.
-      const RENT_EXEMPT_FLOOR = 890880;   // lamports, 0-byte account
-      const ATA_RENT = 2039280;           // lamports, 165-byte token account
-      const FEE_HEADROOM = 20000;         // base fee + priority fee, generously
-      const atasToCreate = (fromInfo ? 0 : 1) + (toInfo ? 0 : 1);
-      const lamportsNeeded = RENT_EXEMPT_FLOOR + FEE_HEADROOM + atasToCreate * ATA_RENT;
+      const { atasToCreate, lamportsNeeded: needed } = prepared;
 
       let lamports = null;
       try {
-        lamports = await connection.getBalance(funding.publicKey, 'confirmed');
+        lamports = await payout.solBalance();
       } catch {
         lamports = null; // RPC unavailable — fall through and let the send report it
       }
-      if (lamports !== null && lamports < lamportsNeeded) {
+      if (lamports !== null && lamports < needed) {
         console.error(
-          `[spin] funding wallet out of gas: has ${lamports} lamports, needs ${lamportsNeeded} ` +
-          `(${atasToCreate} token account(s) to create). Fund ${funding.publicKey.toBase58()}.`
+          `[spin] funding wallet out of gas: has ${lamports} lamports, needs ${needed} ` +
+          `(${atasToCreate} token account(s) to create). Fund ${payout.fundingAddress()}.`
         );
         await releaseSpin();
+        await recordRefusal(supabase, {
+          server_id, contract_address,
+          detail: `out of gas: ${lamports} lamports, needs ${needed} (${atasToCreate} token account(s) to create)`,
+        });
         return res.status(503).json({
           error: 'The prize pool is out of gas and cannot pay network fees. An admin has been notified — your spin has not been used.',
         });
       }
-
-      sendCtx = { fromATA, toATA, mintPk, userPk };
     } catch (e) {
       console.error('[spin] pre-send failure:', e?.message || e);
       await releaseSpin();
@@ -391,13 +482,17 @@ export default async function handler(req, res) {
 
     let signature;
     try {
-      signature = await sendTxWithFreshBlockhash({
-        connection,
-        payer: funding,
-        instructions: ixs,
-        recentAccounts: [sendCtx.fromATA, sendCtx.toATA, sendCtx.mintPk, sendCtx.userPk.toBase58()],
-        maxRetries: 4,
-        commitment: 'confirmed',
+      signature = await payout.sendTransfer(prepared, {
+        // Record each signature before it is broadcast. If this function is killed
+        // mid-send, recovery (lib/reconcile.js) then knows exactly what to look for.
+        onSigned: async ({ signature: sig, attempts }) => {
+          const { error } = await supabase
+            .from('spin_tokens')
+            .update({ tx_signature: sig, tx_attempts: attempts })
+            .eq('token', signedToken)
+            .eq('status', 'reserved');
+          if (error) throw new Error(error.message);
+        },
       });
     } catch (e) {
       const code = e?.code;
@@ -410,9 +505,18 @@ export default async function handler(req, res) {
       }
 
       // Ambiguous (UNCONFIRMED): the transfer may have landed. Releasing the slot or
-      // token here is exactly the double-payout hole. Lock it for manual review instead.
+      // token here is exactly the double-payout hole. Lock it for review instead, and
+      // keep every signature we signed plus the intended prize so the reconciler
+      // (lib/reconcile.js) can settle it against the chain later.
       await supabase.from('spin_tokens')
-        .update({ status: 'review' })
+        .update({
+          status: 'review',
+          tx_signature: e?.signature || null,
+          tx_attempts: Array.isArray(e?.attempts) ? e.attempts : [],
+          payout_amount_raw: prepared.receivedRaw,
+          transfer_fee_raw: prepared.feeRaw,
+          tier,
+        })
         .eq('token', signedToken)
         .eq('server_id', server_id);
       if (dailyRowId) {
@@ -425,33 +529,65 @@ export default async function handler(req, res) {
       });
     }
 
-    // Record result
+    // Record result. payout_amount_raw is what reached the winner, which differs
+    // from the drawn prize only for a transfer-fee mint in `net` mode.
     if (dailyRowId) {
       await supabase
         .from('daily_spins')
         .update({
-          payout_amount_raw: amountBase,
+          payout_amount_raw: prepared.receivedRaw,
+          transfer_fee_raw: prepared.feeRaw,
           tier,
           tx_signature: signature,
+          settled_at: new Date().toISOString(),
         })
         .eq('id', dailyRowId);
     }
 
     await supabase
       .from('spin_tokens')
-      .update({ status: 'paid', paid_at: new Date().toISOString() })
+      .update({
+        status: 'paid',
+        paid_at: new Date().toISOString(),
+        tx_signature: signature,
+        payout_amount_raw: prepared.receivedRaw,
+        transfer_fee_raw: prepared.feeRaw,
+        tier,
+      })
       .eq('token', signedToken)
       .eq('server_id', server_id);
 
+    const netNote = prepared.receivedRaw < amountBase
+      ? ` (${prepared.receivedRaw / 10 ** decimals} after the token's transfer fee)`
+      : '';
+
+    // Was `undefined` for normal users, which JSON drops entirely — so the page's
+    // `typeof spins_left === 'number'` check failed and every player was told
+    // "Unlimited spins" right after using their one spin of the day.
+    let spins_left = role === 'superadmin' ? 'Unlimited' : 0;
+    let next_reset_at = null;
+    if (enforceDaily) {
+      try {
+        ({ spins_left, next_reset_at } = await spinAllowance(supabase, allowanceKey, policy));
+      } catch (e) {
+        console.error('[spin] allowance error', e?.message || e);
+      }
+    }
+
     return res.status(200).json({
       segmentIndex: idx,
-      prize: `${rewardDisplay} ${tokenName}`,
+      prize: `${rewardDisplay} ${tokenName}${netNote}`,
       signature,
       tier,
-      // Was `undefined` for normal users, which JSON drops entirely — so the page's
-      // `typeof spins_left === 'number'` check failed and every player was told
-      // "Unlimited spins" right after using their one spin of the day.
-      spins_left: role === 'superadmin' ? 'Unlimited' : 0,
+      spins_left,
+      next_reset_at,
+      streak: streak && { days: streak.days, bonus_pct: streak.bonus_pct, min_tier: streak.min_tier },
+      fairness: {
+        server_seed: serverSeed,
+        server_seed_hash: serverSeedHash,
+        client_seed: clientSeed,
+        verify_url: `/api/verify-spin?signature=${encodeURIComponent(signature)}`,
+      },
     });
 
   } catch (err) {
@@ -0,0 +1,64 @@
+// Public check of a paid spin (lib/fairness.js). Anyone holding the transaction
+// signature can confirm that the revealed server seed matches the hash committed
+// when the link was issued, and that the seeds plus the wheel as it stood at the
+// time produce the prize that was paid.
+//
+// GET /api/verify-spin?signature=<tx signature>   (POST { signature } also works)
+import { createClient } from '@supabase/supabase-js';
+import { hashSeed, replayDraw } from '../lib/fairness.js';
+
+const SUPABASE_URL = process.env.SUPABASE_URL;
+const SUPABASE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY;
+const supabase = createClient(SUPABASE_URL, SUPABASE_KEY);
+
+const SIG_RE = /^[1-9A-HJ-NP-Za-km-z]{60,100}$/;
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET' && req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
+
+  try {
+    const signature = String((req.method === 'GET' ? req.query?.signature : req.body?.signature) || '').trim();
+    if (!SIG_RE.test(signature)) return res.status(400).json({ error: 'A transaction signature is required' });
+
+    // Deliberately no token or discord_id in the select: this endpoint is public,
+    // and the token is a bearer secret for the spin it was issued for.
+    const { data: row, error } = await supabase
+      .from('spin_tokens')
+      .select('server_id, contract_address, wallet_address, status, paid_at, payout_amount_raw, transfer_fee_raw, tier, server_seed, server_seed_hash, client_seed, wheel_snapshot')
+      .eq('tx_signature', signature)
+      .maybeSingle();
+    if (error) return res.status(500).json({ error: 'Lookup failed' });
+    if (!row || row.status !== 'paid') return res.status(404).json({ error: 'No paid spin with that signature' });
+    if (!row.server_seed || !row.client_seed || !row.wheel_snapshot) {
+      return res.status(404).json({ error: 'This spin predates provably fair spins and cannot be verified' });
+    }
+
+    const draw = replayDraw(row);
+    const seedMatchesCommitment = hashSeed(row.server_seed) === row.server_seed_hash;
+    // Reconciled spins record what actually arrived on-chain, so compare raw units.
+    // A transfer-fee mint paid in `net` mode delivers the prize less the fee.
+    const received = Number(row.payout_amount_raw);
+    const payoutMatches = received === draw.amount_raw ||
+      (Number(row.transfer_fee_raw) > 0 && received + Number(row.transfer_fee_raw) === draw.amount_raw);
+
+    return res.status(200).json({
+      verified: seedMatchesCommitment && payoutMatches,
+      seed_matches_commitment: seedMatchesCommitment,
+      payout_matches: payoutMatches,
+      signature,
+      server_id: row.server_id,
+      contract_address: row.contract_address,
+      wallet_address: row.wallet_address,
+      paid_at: row.paid_at,
+      server_seed: row.server_seed,
+      server_seed_hash: row.server_seed_hash,
+      client_seed: row.client_seed,
+      wheel: row.wheel_snapshot,
+      recomputed: draw,
+      recorded: { payout_amount_raw: row.payout_amount_raw, transfer_fee_raw: row.transfer_fee_raw ?? null, tier: row.tier },
+    });
+  } catch (e) {
+    console.error('verify-spin error:', e);
+    return res.status(500).json({ error: 'Internal error' });
+  }
+}
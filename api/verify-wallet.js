@@ -0,0 +1,79 @@
+// Wallet ownership check for /mywallet (lib/walletVerify.js). The nonce in the
+// link is the only credential: it names one challenge for one Discord user and
+// one wallet, works once, and expires.
+//
+// GET  /api/verify-wallet?c=<nonce>              → { wallet_address, message, expires_at }
+// POST /api/verify-wallet { c, signature }       signature: base64 of the 64-byte ed25519
+//                                                signature of `message`
+import { createClient } from '@supabase/supabase-js';
+import { verifyWalletSignature } from '../lib/walletVerify.js';
+
+const SUPABASE_URL = process.env.SUPABASE_URL;
+const SUPABASE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY;
+const supabase = createClient(SUPABASE_URL, SUPABASE_KEY);
+
+const NONCE_RE = /^[0-9a-f]{32}$/;
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET' && req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
+
+  try {
+    const nonce = String((req.method === 'GET' ? req.query?.c : req.body?.c) || '').trim();
+    if (!NONCE_RE.test(nonce)) return res.status(400).json({ error: 'Invalid verification link' });
+
+    const { data: ch, error } = await supabase
+      .from('wallet_challenges')
+      .select('nonce, discord_id, wallet_address, message, expires_at, used_at')
+      .eq('nonce', nonce)
+      .maybeSingle();
+    if (error) return res.status(500).json({ error: 'Lookup failed' });
+    if (!ch) return res.status(404).json({ error: 'Invalid verification link' });
+    if (ch.used_at) return res.status(410).json({ error: 'This link was already used. Run /mywallet for a new one.' });
+    if (Date.parse(ch.expires_at) <= Date.now()) {
+      return res.status(410).json({ error: 'This link has expired. Run /mywallet for a new one.' });
+    }
+
+    if (req.method === 'GET') {
+      return res.status(200).json({ wallet_address: ch.wallet_address, message: ch.message, expires_at: ch.expires_at });
+    }
+
+    const signature = Buffer.from(String(req.body?.signature || ''), 'base64');
+    if (!verifyWalletSignature(ch.wallet_address, ch.message, signature)) {
+      return res.status(400).json({ error: 'Signature does not match this wallet' });
+    }
+
+    // The user may have linked a different wallet since this link was issued.
+    const { data: user } = await supabase
+      .from('users')
+      .select('wallet_address')
+      .eq('discord_id', ch.discord_id)
+      .maybeSingle();
+    if (user?.wallet_address !== ch.wallet_address) {
+      return res.status(409).json({ error: 'Your linked wallet has changed since this link was issued. Run /mywallet again.' });
+    }
+
+    // Claimed conditionally so two submissions of the same signature can't both count.
+    const now = new Date().toISOString();
+    const { data: claimed, error: claimErr } = await supabase
+      .from('wallet_challenges')
+      .update({ used_at: now })
+      .eq('nonce', nonce)
+      .is('used_at', null)
+      .select('nonce')
+      .maybeSingle();
+    if (claimErr) return res.status(500).json({ error: 'Could not record verification' });
+    if (!claimed) return res.status(410).json({ error: 'This link was already used. Run /mywallet for a new one.' });
+
+    const { error: updErr } = await supabase
+      .from('users')
+      .update({ wallet_verified: true, wallet_verified_at: now })
+      .eq('discord_id', ch.discord_id)
+      .eq('wallet_address', ch.wallet_address);
+    if (updErr) return res.status(500).json({ error: 'Could not record verification' });
+
+    return res.status(200).json({ ok: true, wallet_address: ch.wallet_address });
+  } catch (e) {
+    console.error('verify-wallet fatal:', e);
+    return res.status(500).json({ error: 'Internal error' });
+  }
+}
@@ -0,0 +1,111 @@
+import { client, supabase, SPIN_CHANNEL_NAME } from './index.js';
+import { loadServerSettings } from './lib/serverSettings.js';
+import { announcePolicy, qualifies, renderAnnouncement, ANNOUNCE_TIERS } from './lib/announce.js';
+import { findTextChannel, spinChannelIds } from './lib/channels.js';
+
+// Posts big wins (lib/announce.js) to each server's spin channel (the first one
+// set with /spinconfig channels, or the one found by name). A spin is only
+// picked up once its payout is settled: a real tx signature, a drawn tier and
+// settled_at, which /api/spin writes on success and lib/reconcile.js on settling
+// a review. Every spin looked at gets announced_at, posted or not, so it's read once.
+
+// Only spins settled this recently are announced; older ones (e.g. everything
+// already in daily_spins when this first runs) are left alone. A review spin that
+// settles days later still counts, since the window runs from settled_at.
+const LOOKBACK_HOURS = 6;
+const BATCH = 200;
+
+async function mark(ids, announcement) {
+  if (!ids.length) return;
+  const { error } = await supabase
+    .from('daily_spins')
+    .update({ announced_at: new Date().toISOString(), announcement })
+    .in('id', ids);
+  if (error) console.error(`[big-wins] mark ${announcement} failed: ${error.message}`);
+}
+
+// Claim one spin so a second pass (or a second bot) can't post it again.
+async function claim(id) {
+  const { data, error } = await supabase
+    .from('daily_spins')
+    .update({ announced_at: new Date().toISOString(), announcement: 'posted' })
+    .eq('id', id)
+    .is('announced_at', null)
+    .select('id')
+    .maybeSingle();
+  if (error) throw new Error(`daily_spins claim failed: ${error.message}`);
+  return !!data;
+}
+
+async function announceBigWins() {
+  const since = new Date(Date.now() - LOOKBACK_HOURS * 3600 * 1000).toISOString();
+  const { data: rows, error } = await supabase
+    .from('daily_spins')
+    .select('id, server_id, discord_id, contract_address, payout_amount_raw, tier, tx_signature, settled_at')
+    .in('tier', ANNOUNCE_TIERS)
+    .is('announced_at', null)
+    .not('tx_signature', 'is', null)
+    .neq('tx_signature', 'UNCONFIRMED')
+    .gte('settled_at', since)
+    .order('id', { ascending: true })
+    .limit(BATCH);
+  if (error) throw new Error(`daily_spins query failed: ${error.message}`);
+  if (!rows?.length) return;
+
+  const byServer = new Map();
+  for (const r of rows) {
+    if (!byServer.has(r.server_id)) byServer.set(r.server_id, []);
+    byServer.get(r.server_id).push(r);
+  }
+
+  for (const [server_id, spins] of byServer) {
+    const settings = await loadServerSettings(supabase, server_id);
+    const policy = announcePolicy(settings);
+    const wanted = spins.filter((r) => qualifies(r.tier, policy));
+    await mark(spins.filter((r) => !wanted.includes(r)).map((r) => r.id), 'skipped');
+    if (!wanted.length) continue;
+
+    const guild = client.guilds.cache.get(server_id);
+    const channel = findTextChannel(guild, spinChannelIds(settings)[0], SPIN_CHANNEL_NAME);
+    if (!channel) {
+      // Not in that guild any more, or no spin channel: nowhere to post, ever.
+      await mark(wanted.map((r) => r.id), 'skipped');
+      continue;
+    }
+
+    const [{ data: optouts, error: oErr }, { data: cfgs, error: cErr }] = await Promise.all([
+      supabase.from('announce_optouts').select('discord_id').eq('server_id', server_id)
+        .in('discord_id', [...new Set(wanted.map((r) => r.discord_id))]),
+      supabase.from('wheel_configurations').select('contract_address, token_name, decimals').eq('server_id', server_id),
+    ]);
+    if (oErr || cErr) {
+      // Leave them for the next pass rather than post for someone who opted out.
+      console.error(`[big-wins] ${server_id}: ${(oErr || cErr).message}`);
+      continue;
+    }
+    const optedOut = new Set((optouts || []).map((o) => String(o.discord_id)));
+    const cfgByMint = new Map((cfgs || []).map((c) => [c.contract_address, c]));
+
+    await mark(wanted.filter((r) => optedOut.has(String(r.discord_id))).map((r) => r.id), 'opted_out');
+    for (const r of wanted.filter((r) => !optedOut.has(String(r.discord_id)))) {
+      if (!(await claim(r.id))) continue;
+      const cfg = cfgByMint.get(r.contract_address);
+      const content = renderAnnouncement(policy.template, {
+        discord_id: r.discord_id,
+        prize: Number(r.payout_amount_raw) / 10 ** (Number(cfg?.decimals) || 0),
+        token_name: cfg?.token_name || 'tokens',
+        tier: r.tier,
+        tx_signature: r.tx_signature,
+      });
+      try {
+        // Shows the winner's name without pinging them (or anyone a template names).
+        await channel.send({ content, allowedMentions: { parse: [] } });
+      } catch (e) {
+        console.error(`[big-wins] ${server_id}: ${e?.message || e}`);
+        await mark([r.id], 'failed');
+      }
+    }
+  }
+}
+
+export { announceBigWins };
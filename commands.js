@@ -1,12 +1,52 @@
 import { createHmac, randomUUID } from 'crypto';
-import { supabase, retryQuery, SPIN_URL, DEFAULT_TOKEN_ADDRESS } from './index.js';
-
-function utcYYYYMMDD() {
-  const d = new Date();
-  const y = d.getUTCFullYear();
-  const m = String(d.getUTCMonth() + 1).padStart(2, '0');
-  const day = String(d.getUTCDate()).padStart(2, '0');
-  return `${y}-${m}-${day}`;
+import { supabase, retryQuery, SPIN_URL, DEFAULT_TOKEN_ADDRESS, SPIN_CHANNEL_NAME, LEADERBOARD_CHANNEL_NAME } from './index.js';
+import { allowancePolicy, describeAllowance, spinAllowance, SPIN_WINDOWS } from './lib/allowance.js';
+import { budgetPolicy, describeBudget, CAP_WINDOWS, CAP_MODES } from './lib/budget.js';
+import { loadServerSettings, saveServerSettings } from './lib/serverSettings.js';
+import { isValidTimeZone, normalizeClock, dayBounds } from './lib/spinDay.js';
+import { linkExpiry, revokeSpinTokens } from './lib/spinTokens.js';
+import { newServerSeed, hashSeed } from './lib/fairness.js';
+import { FEE_MODES } from './lib/payout/transferFee.js';
+import { checkMint } from './lib/mint.js';
+import { isValidWalletAddress, createWalletChallenge, verifyUrl } from './lib/walletVerify.js';
+import { sybilPolicy, describeSybil, checkSybil, recordSybilFlag } from './lib/sybil.js';
+import {
+  ALL_TOKENS, loadRoleRules, memberRoleIds, resolveEntitlements, applyEntitlements, describeRoleRule
+} from './lib/roles.js';
+import { streakPolicy, describeStreakPolicy, parseStreakCurve, spinStreak } from './lib/streaks.js';
+import { leaderboardSchedule } from './leaderboardPosts.js';
+import { resolveTokenForServer } from './leaderboards.js';
+import { announcePolicy, describeAnnounce, validateTemplate } from './lib/announce.js';
+import {
+  isSpinChannel, describeSpinChannels, spinChannelIds, linkDelivery, MAX_SPIN_CHANNELS
+} from './lib/channels.js';
+import {
+  adminLevel, loadAdminMappings, grantAdmin, revokeAdmin, mapAdminRole, unmapAdminRole
+} from './lib/admins.js';
+import { createAdminSession } from './lib/adminSessions.js';
+
+// Discord renders <t:unix:R> as a live relative time ("in 5 hours") in each reader's locale.
+function discordTime(iso, style = 'R') {
+  return `<t:${Math.floor(new Date(iso).getTime() / 1000)}:${style}>`;
+}
+
+// The caller's admin levels in this server (lib/admins.js adminLevel): overall,
+// direct, and through mapped Discord roles. All null when they can't be read.
+async function callerAdmin(interaction, supabase, retryQuery) {
+  try {
+    return await retryQuery(() =>
+      adminLevel(supabase, interaction.guildId, interaction.user.id, memberRoleIds(interaction.member))
+    );
+  } catch (error) {
+    console.error(`Admin level lookup error: ${error.message}`);
+    return { level: null, direct: null, from_roles: null };
+  }
+}
+
+// The caller's admin level in this server, given directly or through a mapped
+// Discord role. null when they have none or it can't be read.
+async function callerAdminLevel(interaction, supabase, retryQuery) {
+  return (await callerAdmin(interaction, supabase, retryQuery)).level;
 }
 
 function normalizeTokenName(s) {
@@ -27,9 +67,26 @@ async function handleSpinCommand(interaction, supabase, retryQuery) {
     return;
   }
 
+  // Strict: the defaults would drop the verified-wallet and anti-abuse rules checked below.
+  let settings;
+  try {
+    settings = await retryQuery(() => loadServerSettings(supabase, server_id, { strict: true }));
+  } catch (error) {
+    console.error(`Settings load error: ${error.message}`);
+    return interaction.editReply({ content: `❌ Database error loading server settings.`, flags: 64 });
+  }
+  if (!isSpinChannel(settings, interaction.channel, SPIN_CHANNEL_NAME)) {
+    console.log(`Channel mismatch: /spin in ${interaction.channel?.name || '(unknown)'} (${interaction.channelId})`);
+    return interaction.editReply({ content: `Please use this command in ${describeSpinChannels(settings, SPIN_CHANNEL_NAME)}.`, flags: 64 });
+  }
+
+  if (interaction.options.getBoolean('revoke')) {
+    return handleSpinRevoke(interaction, supabase, retryQuery);
+  }
+
   // 1) Wallet must exist
   const { data: userData, error: userError } = await retryQuery(() =>
-    supabase.from('users').select('wallet_address').eq('discord_id', discord_id).maybeSingle()
+    supabase.from('users').select('wallet_address, wallet_verified').eq('discord_id', discord_id).maybeSingle()
   );
 
   if (userError || !userData?.wallet_address) {
@@ -41,16 +98,14 @@ async function handleSpinCommand(interaction, supabase, retryQuery) {
   }
 
   // 2) Role
-  const { data: adminData } = await retryQuery(() =>
-    supabase.from('server_admins').select('role').eq('server_id', server_id).eq('discord_id', discord_id).maybeSingle()
-  );
-  const isSuperadmin = adminData?.role === 'superadmin';
+  const admin = await callerAdmin(interaction, supabase, retryQuery);
+  const isSuperadmin = admin.level === 'superadmin';
 
   // 3) Enabled tokens for this server
   const { data: serverTokens, error: stErr } = await retryQuery(() =>
     supabase
       .from('server_tokens')
-      .select('contract_address, is_default, enabled')
+      .select('contract_address, is_default, enabled, spin_limit, spin_window, spin_window_hours')
       .eq('server_id', server_id)
   );
 
@@ -110,26 +165,74 @@ async function handleSpinCommand(interaction, supabase, retryQuery) {
   const contract_address = chosen.contract_address;
   const token_name = chosen.token_name || 'Token';
 
-  // 6) Enforce daily limit before generating link (DB also enforces later in /api/spin.js)
+  // Role rules (lib/roles.js), resolved from the member's roles right now and
+  // stored on the link for /api/spin.
+  let roleRules;
+  try {
+    roleRules = await retryQuery(() => loadRoleRules(supabase, server_id));
+  } catch (error) {
+    console.error(`role_rules query error: ${error.message}`);
+    return interaction.editReply({ content: `❌ Database error loading role rules.`, flags: 64 });
+  }
+  const { allowed, required_roles, entitlements } = resolveEntitlements(roleRules, memberRoleIds(interaction.member), contract_address);
+  if (!allowed && !isSuperadmin) {
+    return interaction.editReply({
+      content: `❌ Spinning ${token_name} here requires one of these roles: ${required_roles.map(id => `<@&${id}>`).join(', ')}.`,
+      flags: 64,
+      allowedMentions: { parse: [] }
+    });
+  }
+  const policy = applyEntitlements(
+    allowancePolicy((serverTokens || []).find(t => t.contract_address === contract_address), settings),
+    entitlements
+  );
+
+  if (settings.require_verified_wallet && !userData.wallet_verified) {
+    return interaction.editReply({
+      content: `❌ This server only pays verified wallets. Run \`/mywallet\` to verify \`${userData.wallet_address}\`, then \`/spin\` again.`,
+      flags: 64
+    });
+  }
+
+  // Cached guild members are GuildMember (joinedAt); uncached ones arrive raw (joined_at).
+  const joinedAt = interaction.member?.joinedAt ?? interaction.member?.joined_at ?? null;
+  const member_joined_at = joinedAt ? new Date(joinedAt).toISOString() : null;
+
   if (!isSuperadmin) {
-    const today = utcYYYYMMDD();
-    const { count, error: cErr } = await retryQuery(() =>
-      supabase
-        .from('daily_spins')
-        .select('id', { count: 'exact', head: true })
-        .eq('server_id', server_id)
-        .eq('discord_id', discord_id)
-        .eq('contract_address', contract_address)
-        .eq('spin_day', today)
-    );
+    let verdict;
+    try {
+      verdict = await retryQuery(() => checkSybil(supabase,
+        { discord_id, wallet_address: userData.wallet_address, member_joined_at },
+        sybilPolicy(settings)));
+    } catch (error) {
+      console.error(`Sybil check error: ${error.message}`);
+      return interaction.editReply({ content: `❌ Database error checking spin eligibility.`, flags: 64 });
+    }
+    if (!verdict.ok) {
+      console.log(`Sybil rule ${verdict.rule} refused user: ${discord_id}, server: ${server_id} (${verdict.detail})`);
+      await recordSybilFlag(supabase, { server_id, discord_id, wallet_address: userData.wallet_address, rule: verdict.rule, detail: verdict.detail });
+      return interaction.editReply({ content: `❌ ${verdict.message}`, flags: 64 });
+    }
+  }
 
-    if (cErr) {
-      console.error(`Spin count error: ${cErr.message}`);
-      return interaction.editReply({ content: `❌ Database error checking daily limit.`, flags: 64 });
+  // 6) Enforce the spin allowance before generating link (/api/spin.js enforces it again atomically)
+  let allowance = null;
+  if (!isSuperadmin) {
+    try {
+      allowance = await retryQuery(() =>
+        spinAllowance(supabase, { server_id, discord_id, contract_address }, policy)
+      );
+    } catch (error) {
+      console.error(`Spin allowance error: ${error.message}`);
+      return interaction.editReply({ content: `❌ Database error checking your spin limit.`, flags: 64 });
     }
 
-    if ((count || 0) >= 1) {
-      return interaction.editReply({ content: `❌ Daily limit reached for ${token_name}.`, flags: 64 });
+    if (allowance.spins_left <= 0) {
+      const when = allowance.next_reset_at ? ` Your next spin unlocks ${discordTime(allowance.next_reset_at)}.` : '';
+      return interaction.editReply({
+        content: `❌ Spin limit reached for ${token_name} (${describeAllowance(policy)}).${when}`,
+        flags: 64
+      });
     }
   }
 
@@ -142,6 +245,8 @@ async function handleSpinCommand(interaction, supabase, retryQuery) {
   }
   const sig = createHmac('sha256', key).update(raw).digest('hex');
   const signedToken = `${raw}.${sig}`;
+  // Committed now, revealed after the spin (lib/fairness.js).
+  const server_seed = newServerSeed();
 
   const { data: tokenData, error: tokenError } = await retryQuery(() =>
     supabase
@@ -152,9 +257,17 @@ async function handleSpinCommand(interaction, supabase, retryQuery) {
         discord_id,
         wallet_address: userData.wallet_address,
         contract_address,
-        status: 'issued'
+        status: 'issued',
+        expires_at: linkExpiry(),
+        member_joined_at,
+        entitlements,
+        // Only what roles give: api/spin.js reads direct grants live, so /spinadmin
+        // remove takes effect on links already out.
+        admin_role: admin.from_roles,
+        server_seed,
+        server_seed_hash: hashSeed(server_seed)
       })
-      .select('token')
+      .select('token, expires_at, server_seed_hash')
       .single()
   );
 
@@ -168,16 +281,102 @@ async function handleSpinCommand(interaction, supabase, retryQuery) {
   const sep = base.includes('?') ? '&' : '?';
   const spinUrl = `${base}${sep}token=${encodeURIComponent(tokenData.token)}&server_id=${encodeURIComponent(server_id)}`;
 
-  const spinsLeftText = isSuperadmin ? `Unlimited spins` : `1 spin per day`;
+  let spinsLeftText = `Unlimited spins`;
+  if (!isSuperadmin) {
+    spinsLeftText = `${allowance.spins_left} of ${describeAllowance(policy)} left`;
+    // This link uses one of them; say when the next one unlocks if it's the last.
+    if (allowance.spins_left === 1) {
+      const unlock = allowance.resets_at
+        || allowance.next_reset_at
+        || new Date(Date.now() + policy.hours * 3600 * 1000).toISOString();
+      spinsLeftText += ` · next spin unlocks ${discordTime(unlock)}`;
+    } else if (allowance.resets_at) {
+      spinsLeftText += ` · resets ${discordTime(allowance.resets_at)}`;
+    }
+  }
+  if (entitlements.payout_multiplier > 1) spinsLeftText += ` · ${entitlements.payout_multiplier}× payouts from your roles`;
+  const streakText = await describeSpinStreak(supabase, { server_id, discord_id, contract_address }, settings);
+  if (streakText) spinsLeftText += `\n${streakText}`;
+  const content = `✅ Your spin for **${token_name}** is ready:\n${spinUrl}\n${spinsLeftText}\n` +
+    `This link expires ${discordTime(tokenData.expires_at)}. Don't share it — anyone with it can spin. Lost it? \`/spin revoke:true\`\n` +
+    `-# Fairness commitment: \`${tokenData.server_seed_hash}\``;
+
+  if (linkDelivery(settings) === 'dm') {
+    try {
+      await interaction.user.send({ content: `**${interaction.guild?.name || 'Spin'}** — ${content}` });
+      return interaction.editReply({ content: `📬 Sent your **${token_name}** spin link by DM.`, flags: 64 });
+    } catch (error) {
+      // Closed DMs are common; the link is already issued, so hand it over here.
+      console.error(`Spin link DM failed for ${discord_id}: ${error.message}`);
+      return interaction.editReply({ content: `${content}\n-# Couldn't DM you, so here it is instead.`, flags: 64 });
+    }
+  }
+  return interaction.editReply({ content, flags: 64 });
+}
+
+// "🔥 This spin makes a 5-day streak …" for the /spin reply, or null when there's
+// nothing worth saying (or the history can't be read — it's only informational).
+async function describeSpinStreak(supabase, key, settings) {
+  const policy = streakPolicy(settings);
+  let streak;
+  try {
+    streak = await spinStreak(supabase, key, policy, settings);
+  } catch (error) {
+    console.error(`Streak lookup error: ${error.message}`);
+    return null;
+  }
+  if (streak.days < 2 && !policy.curve.length) return null;
+  const parts = [`🔥 This spin makes a **${streak.days}-day** streak`];
+  if (streak.bonus_pct) parts.push(`+${streak.bonus_pct}% prize bonus`);
+  if (streak.min_tier) parts.push(`${streak.min_tier} or better guaranteed`);
+  if (streak.next) {
+    const reward = [streak.next.bonus_pct && `+${streak.next.bonus_pct}%`, streak.next.min_tier && `${streak.next.min_tier}+`].filter(Boolean).join(' & ');
+    parts.push(`${reward} at ${streak.next.days} days`);
+  }
+  return parts.join(' · ');
+}
+
+// /spin revoke:true — void your own unused links, or (superadmins) another member's.
+async function handleSpinRevoke(interaction, supabase, retryQuery) {
+  const discord_id = interaction.user.id;
+  const server_id = interaction.guildId;
+  const target = interaction.options.getUser('user');
+  const target_id = target?.id || discord_id;
+
+  if (target_id !== discord_id) {
+    if (await callerAdminLevel(interaction, supabase, retryQuery) !== 'superadmin') {
+      return interaction.editReply({ content: `❌ Only superadmins can revoke another member's links.`, flags: 64 });
+    }
+  }
+
+  let revoked;
+  try {
+    revoked = await retryQuery(() => revokeSpinTokens(supabase, { server_id, discord_id: target_id }));
+  } catch (error) {
+    console.error(`Spin revoke error: ${error.message}`);
+    return interaction.editReply({ content: `❌ Failed to revoke spin links.`, flags: 64 });
+  }
+
+  console.log(`Revoked ${revoked} spin link(s) for user: ${target_id}, server: ${server_id}, by: ${discord_id}`);
+  const whose = target_id === discord_id ? 'your' : `<@${target_id}>'s`;
   return interaction.editReply({
-    content: `✅ Your spin for **${token_name}** is ready:\n${spinUrl}\n${spinsLeftText}`,
+    content: revoked
+      ? `✅ Revoked ${revoked} unused spin ${revoked === 1 ? 'link' : 'links'} (${whose}).`
+      : `ℹ️ No unused spin links to revoke (${whose}).`,
     flags: 64
   });
 }
 
+// A fresh one-time signing link for the user's current wallet (lib/walletVerify.js).
+async function walletVerifyLink(supabase, discord_id, wallet_address, retryQuery) {
+  const challenge = await retryQuery(() => createWalletChallenge(supabase, { discord_id, wallet_address }));
+  return `Prove you own it by signing a message (no transaction, no fee): ${verifyUrl(SPIN_URL, challenge.nonce)}\n` +
+    `This link expires ${discordTime(challenge.expires_at)}.`;
+}
+
 async function handleWalletCommand(interaction, supabase, retryQuery) {
   const discord_id = interaction.user.id;
-  const wallet_address = interaction.options.getString('address');
+  const wallet_address = interaction.options.getString('address')?.trim();
 
   console.log(`Processing wallet command for user: ${discord_id}, address: ${wallet_address || '(view)'}`);
 
@@ -189,15 +388,22 @@ async function handleWalletCommand(interaction, supabase, retryQuery) {
   }
 
   if (wallet_address) {
-    if (!wallet_address.match(/^[1-9A-HJ-NP-Za-km-z]{32,44}$/)) {
+    if (!isValidWalletAddress(wallet_address)) {
       return interaction.editReply({ content: `❌ Invalid Solana wallet address.`, flags: 64 });
     }
 
+    const { data: current } = await retryQuery(() =>
+      supabase.from('users').select('wallet_address, wallet_verified').eq('discord_id', discord_id).maybeSingle()
+    );
+    // Re-saving the same address keeps its verification; a new address starts over.
+    const unchanged = current?.wallet_address === wallet_address;
+    const patch = unchanged ? {} : { wallet_verified: false, wallet_verified_at: null };
+
     const { data, error } = await retryQuery(() =>
       supabase
         .from('users')
-        .upsert({ discord_id, wallet_address })
-        .select('wallet_address')
+        .upsert({ discord_id, wallet_address, ...patch })
+        .select('wallet_address, wallet_verified')
         .single()
     );
 
@@ -206,11 +412,24 @@ async function handleWalletCommand(interaction, supabase, retryQuery) {
       return interaction.editReply({ content: `❌ Failed to save wallet address.`, flags: 64 });
     }
 
-    return interaction.editReply({ content: `✅ Wallet saved: \`${data.wallet_address}\``, flags: 64 });
+    if (data.wallet_verified) {
+      return interaction.editReply({ content: `✅ Wallet saved: \`${data.wallet_address}\` (verified)`, flags: 64 });
+    }
+    let link;
+    try {
+      link = await walletVerifyLink(supabase, discord_id, data.wallet_address, retryQuery);
+    } catch (error) {
+      console.error(`Wallet challenge error: ${error.message}`);
+      return interaction.editReply({
+        content: `✅ Wallet saved: \`${data.wallet_address}\`\n❌ Couldn't create a verification link. Run \`/mywallet\` to try again.`,
+        flags: 64
+      });
+    }
+    return interaction.editReply({ content: `✅ Wallet saved: \`${data.wallet_address}\`\n${link}`, flags: 64 });
   }
 
   const { data, error } = await retryQuery(() =>
-    supabase.from('users').select('wallet_address').eq('discord_id', discord_id).maybeSingle()
+    supabase.from('users').select('wallet_address, wallet_verified').eq('discord_id', discord_id).maybeSingle()
   );
 
   if (error || !data?.wallet_address) {
@@ -220,7 +439,17 @@ async function handleWalletCommand(interaction, supabase, retryQuery) {
     });
   }
 
-  return interaction.editReply({ content: `ℹ️ Your wallet address: \`${data.wallet_address}\``, flags: 64 });
+  if (data.wallet_verified) {
+    return interaction.editReply({ content: `ℹ️ Your wallet address: \`${data.wallet_address}\` (verified)`, flags: 64 });
+  }
+  let link;
+  try {
+    link = await walletVerifyLink(supabase, discord_id, data.wallet_address, retryQuery);
+  } catch (error) {
+    console.error(`Wallet challenge error: ${error.message}`);
+    link = `❌ Couldn't create a verification link right now.`;
+  }
+  return interaction.editReply({ content: `ℹ️ Your wallet address: \`${data.wallet_address}\` (not verified)\n${link}`, flags: 64 });
 }
 
 async function handleSetTokenCommand(interaction, supabase, retryQuery) {
@@ -229,9 +458,15 @@ async function handleSetTokenCommand(interaction, supabase, retryQuery) {
   const contract_address = interaction.options.getString('contract_address');
   const remove = interaction.options.getBoolean('remove') || false;
   const set_default = interaction.options.getBoolean('default') || false;
+  const spin_limit = interaction.options.getInteger('spins');
+  const spin_window = interaction.options.getString('per');
+  const spin_window_hours = interaction.options.getInteger('hours');
+  const caps = Object.fromEntries(CAP_WINDOWS.map((w) => [w, interaction.options.getNumber(`cap_${w}`)]));
+  const cap_mode = interaction.options.getString('cap_mode');
+  const fee_mode = interaction.options.getString('fee_mode');
   const timestamp = new Date().toISOString();
 
-  console.log(`[${timestamp}] /settoken user:${discord_id} server:${server_id} contract:${contract_address} remove:${remove} default:${set_default}`);
+  console.log(`[${timestamp}] /settoken user:${discord_id} server:${server_id} contract:${contract_address} remove:${remove} default:${set_default} spins:${spin_limit ?? '-'} per:${spin_window ?? '-'} hours:${spin_window_hours ?? '-'} caps:${CAP_WINDOWS.map((w) => caps[w] ?? '-').join('/')} cap_mode:${cap_mode ?? '-'} fee_mode:${fee_mode ?? '-'}`);
 
   try {
     await interaction.deferReply({ flags: 64 });
@@ -240,11 +475,7 @@ async function handleSetTokenCommand(interaction, supabase, retryQuery) {
     return;
   }
 
-  // Must be superadmin
-  const { data: adminRow } = await retryQuery(() =>
-    supabase.from('server_admins').select('role').eq('server_id', server_id).eq('discord_id', discord_id).maybeSingle()
-  );
-  if (adminRow?.role !== 'superadmin') {
+  if (await callerAdminLevel(interaction, supabase, retryQuery) !== 'superadmin') {
     return interaction.editReply({ content: `❌ Only superadmins can use /settoken.`, flags: 64 });
   }
 
@@ -273,6 +504,47 @@ async function handleSetTokenCommand(interaction, supabase, retryQuery) {
     return interaction.editReply({ content: `✅ Removed token **${cfg.token_name}** from this server.`, flags: 64 });
   }
 
+  // Read the mint before enabling anything: a decimals mismatch with the wheel
+  // config would pay every prize off by a power of ten.
+  const mintCheck = await checkMint(contract_address, cfg.decimals);
+  if (!mintCheck.ok) {
+    return interaction.editReply({ content: `❌ ${mintCheck.error}${mintCheck.mint ? `\n${describeMint(mintCheck.mint)}` : ''}`, flags: 64 });
+  }
+
+  // Allowance options only overwrite what was actually passed, so re-running
+  // /settoken just to flip the default doesn't reset a tuned spin policy.
+  const allowanceFields = {};
+  if (spin_limit != null) allowanceFields.spin_limit = spin_limit;
+  if (spin_window != null) {
+    if (!SPIN_WINDOWS.includes(spin_window)) {
+      return interaction.editReply({ content: `❌ \`per\` must be one of: ${SPIN_WINDOWS.join(', ')}.`, flags: 64 });
+    }
+    allowanceFields.spin_window = spin_window;
+  }
+  if (spin_window_hours != null) allowanceFields.spin_window_hours = spin_window_hours;
+  if (spin_window === 'hours' && spin_window_hours == null) {
+    return interaction.editReply({ content: `❌ A rolling window needs \`hours\` (e.g. per:hours hours:12).`, flags: 64 });
+  }
+
+  // Same for the payout caps; 0 clears one.
+  const budgetFields = {};
+  for (const w of CAP_WINDOWS) {
+    if (caps[w] != null) budgetFields[`payout_cap_${w}`] = caps[w] > 0 ? caps[w] : null;
+  }
+  if (cap_mode != null) {
+    if (!CAP_MODES.includes(cap_mode)) {
+      return interaction.editReply({ content: `❌ \`cap_mode\` must be one of: ${CAP_MODES.join(', ')}.`, flags: 64 });
+    }
+    budgetFields.payout_cap_mode = cap_mode;
+  }
+  const feeFields = {};
+  if (fee_mode != null) {
+    if (!FEE_MODES.includes(fee_mode)) {
+      return interaction.editReply({ content: `❌ \`fee_mode\` must be one of: ${FEE_MODES.join(', ')}.`, flags: 64 });
+    }
+    feeFields.transfer_fee_mode = fee_mode;
+  }
+
   // If setting default, clear other defaults first (unique partial index enforces it too)
   if (set_default) {
     await retryQuery(() =>
@@ -285,23 +557,495 @@ async function handleSetTokenCommand(interaction, supabase, retryQuery) {
   // on (server_id, contract_address). Re-running /settoken on a token that was
   // already added always failed with "Failed to add token", which made it
   // impossible to flip an existing token to default. Verified against the live DB.
-  const { error } = await retryQuery(() =>
+  const { data, error } = await retryQuery(() =>
     supabase
       .from('server_tokens')
       .upsert({
         server_id,
         contract_address,
         mint_address: contract_address,
-        decimals: cfg.decimals,
+        decimals: mintCheck.mint.decimals ?? cfg.decimals,
         enabled: true,
-        is_default: set_default
+        is_default: set_default,
+        ...allowanceFields,
+        ...budgetFields,
+        ...feeFields
       }, { onConflict: 'server_id,contract_address' })
+      .select('spin_limit, spin_window, spin_window_hours, payout_cap_daily, payout_cap_weekly, payout_cap_monthly, payout_cap_mode, transfer_fee_mode')
+      .single()
   );
 
   if (error) return interaction.editReply({ content: `❌ Failed to add token.`, flags: 64 });
 
+  // Only worth a mention when it was just set or isn't the default.
+  const feeNote = fee_mode != null || data.transfer_fee_mode === 'net'
+    ? (data.transfer_fee_mode === 'net'
+      ? '; transfer fees come out of the prize'
+      : '; transfer fees are paid on top, so winners get the full prize')
+    : '';
+
+  return interaction.editReply({
+    content: `✅ Enabled token **${cfg.token_name}** for this server${set_default ? ' as default' : ''} (${describeAllowance(allowancePolicy(data))}; ${describeBudget(budgetPolicy(data))}${feeNote}).\n` +
+      describeMint(mintCheck.mint) +
+      mintCheck.warnings.map((w) => `\n⚠️ ${w}`).join(''),
+    flags: 64
+  });
+}
+
+function describeMint(mint) {
+  const decimals = mint.decimals == null ? 'unverified' : mint.decimals;
+  return `-# Mint: ${mint.program}, ${decimals} decimals, mint authority ${mint.mint_authority ? `\`${mint.mint_authority}\`` : 'none'}, ` +
+    `freeze authority ${mint.freeze_authority ? `\`${mint.freeze_authority}\`` : 'none'}`;
+}
+
+function describeSettings(settings) {
+  const clock = normalizeClock(settings);
+  const hh = String(clock.reset_hour).padStart(2, '0');
+  const byName = (ids) => (ids.length ? '' : ' (by name)');
+  return [
+    `• Daily reset: **${hh}:00 ${clock.reset_timezone}** (next ${discordTime(dayBounds(new Date(), clock).end)})`,
+    `• Spin channels: ${describeSpinChannels(settings, SPIN_CHANNEL_NAME)}${byName(spinChannelIds(settings))}`,
+    `• Leaderboard channel: ${settings?.leaderboard_channel_id ? `<#${settings.leaderboard_channel_id}>` : `#${LEADERBOARD_CHANNEL_NAME} (by name)`}`,
+    `• Spin links: **${linkDelivery(settings) === 'dm' ? 'by DM' : 'private reply'}**`,
+    `• Prize pool alerts: ${settings?.alert_channel_id ? `<#${settings.alert_channel_id}>` : '**off**'}`,
+    `• Verified wallet required to spin: **${settings?.require_verified_wallet ? 'yes' : 'no'}**`,
+    `• Anti-abuse rules: **${describeSybil(sybilPolicy(settings))}**`,
+    `• Streaks: **${describeStreakPolicy(streakPolicy(settings))}**`,
+    `• Leaderboard posts: **${leaderboardSchedule(settings)}**`,
+    `• Big-win announcements: **${describeAnnounce(announcePolicy(settings))}**`,
+  ].join('\n');
+}
+
+async function handleSpinConfigCommand(interaction, supabase, retryQuery) {
+  const discord_id = interaction.user.id;
+  const server_id = interaction.guildId;
+  const sub = interaction.options.getSubcommand();
+
+  console.log(`Processing /spinconfig ${sub} for user: ${discord_id}, server: ${server_id}`);
+
+  try {
+    await interaction.deferReply({ flags: 64 });
+  } catch (error) {
+    console.error(`Defer reply failed: ${error.message}`);
+    return;
+  }
+
+  if (await callerAdminLevel(interaction, supabase, retryQuery) !== 'superadmin') {
+    return interaction.editReply({ content: `❌ Only superadmins can use /spinconfig.`, flags: 64 });
+  }
+
+  const save = async (patch) => {
+    try {
+      const saved = await retryQuery(() => saveServerSettings(supabase, server_id, patch, discord_id));
+      return interaction.editReply({ content: `✅ Spin settings updated:\n${describeSettings(saved)}`, flags: 64 });
+    } catch (error) {
+      console.error(`server_settings save error: ${error.message}`);
+      return interaction.editReply({ content: `❌ Failed to save settings.`, flags: 64 });
+    }
+  };
+
+  if (sub === 'reset') {
+    const reset_timezone = interaction.options.getString('timezone');
+    const reset_hour = interaction.options.getInteger('hour') ?? 0;
+    if (!isValidTimeZone(reset_timezone)) {
+      return interaction.editReply({
+        content: `❌ Unknown time zone \`${reset_timezone}\`. Use an IANA name such as \`America/New_York\` or \`Europe/London\`.`,
+        flags: 64
+      });
+    }
+    return save({ reset_timezone, reset_hour });
+  }
+
+  // Catch it now rather than have every post fail silently in the bot's log.
+  const cannotPost = (channel) => {
+    const perms = channel.permissionsFor?.(interaction.client.user);
+    return perms && !perms.has(['ViewChannel', 'SendMessages'])
+      ? `❌ I can't post in <#${channel.id}>. Give me View Channel and Send Messages there first.`
+      : null;
+  };
+
+  if (sub === 'alerts') {
+    const channel = interaction.options.getChannel('channel');
+    const off = interaction.options.getBoolean('off') || false;
+    if (off) return save({ alert_channel_id: null });
+    if (!channel) {
+      return interaction.editReply({ content: `❌ Pick a \`channel\` for alerts, or pass \`off:true\` to turn them off.`, flags: 64 });
+    }
+    const problem = cannotPost(channel);
+    if (problem) return interaction.editReply({ content: problem, flags: 64 });
+    return save({ alert_channel_id: channel.id });
+  }
+
+  if (sub === 'channels') {
+    const addSpin = interaction.options.getChannel('add_spin');
+    const removeSpin = interaction.options.getChannel('remove_spin');
+    const leaderboard = interaction.options.getChannel('leaderboard');
+    const alerts = interaction.options.getChannel('alerts');
+    const defaultNames = interaction.options.getBoolean('default_names') || false;
+
+    const current = await loadServerSettings(supabase, server_id);
+    const patch = {};
+    if (defaultNames) {
+      patch.spin_channel_ids = null;
+      patch.leaderboard_channel_id = null;
+    }
+    if (addSpin || removeSpin) {
+      let ids = defaultNames ? [] : spinChannelIds(current);
+      if (addSpin && !ids.includes(addSpin.id)) ids = [...ids, addSpin.id];
+      if (removeSpin) ids = ids.filter((id) => id !== removeSpin.id);
+      if (ids.length > MAX_SPIN_CHANNELS) {
+        return interaction.editReply({ content: `❌ At most ${MAX_SPIN_CHANNELS} spin channels. Remove one first.`, flags: 64 });
+      }
+      // An empty list means "match by name" again, not "nowhere".
+      patch.spin_channel_ids = ids.length ? ids : null;
+    }
+    for (const [channel, column] of [[leaderboard, 'leaderboard_channel_id'], [alerts, 'alert_channel_id']]) {
+      if (!channel) continue;
+      const problem = cannotPost(channel);
+      if (problem) return interaction.editReply({ content: problem, flags: 64 });
+      patch[column] = channel.id;
+    }
+    if (!Object.keys(patch).length) {
+      return interaction.editReply({
+        content: `❌ Pick a channel to \`add_spin\`, \`remove_spin\`, \`leaderboard\` or \`alerts\`, or pass \`default_names:true\`.`,
+        flags: 64
+      });
+    }
+    return save(patch);
+  }
+
+  if (sub === 'delivery') {
+    return save({ link_delivery: interaction.options.getString('mode') });
+  }
+
+  if (sub === 'sybil') {
+    // 0 turns a rule off; options left out keep their current value.
+    const patch = {};
+    for (const [option, column] of [
+      ['min_account_days', 'min_account_age_days'],
+      ['min_member_days', 'min_member_days'],
+      ['max_accounts_per_wallet', 'max_accounts_per_wallet'],
+    ]) {
+      const v = interaction.options.getInteger(option);
+      if (v !== null) patch[column] = v > 0 ? v : null;
+    }
+    if (!Object.keys(patch).length) {
+      return interaction.editReply({ content: `❌ Set at least one rule (0 turns a rule off).`, flags: 64 });
+    }
+    return save(patch);
+  }
+
+  if (sub === 'streaks') {
+    const curveText = interaction.options.getString('curve');
+    const grace = interaction.options.getInteger('grace');
+    const off = interaction.options.getBoolean('off') || false;
+    if (off) return save({ streak_bonuses: null });
+    const patch = {};
+    if (curveText !== null) {
+      const parsed = parseStreakCurve(curveText);
+      if (!parsed.ok) return interaction.editReply({ content: `❌ ${parsed.error}`, flags: 64 });
+      patch.streak_bonuses = parsed.curve;
+    }
+    if (grace !== null) patch.streak_grace_days = grace;
+    if (!Object.keys(patch).length) {
+      return interaction.editReply({ content: `❌ Give a \`curve\` (e.g. \`3:10%, 7:25%, 30:rare\`), \`grace\` days, or \`off:true\`.`, flags: 64 });
+    }
+    return save(patch);
+  }
+
+  if (sub === 'wallet') {
+    return save({ require_verified_wallet: interaction.options.getBoolean('require') });
+  }
+
+  if (sub === 'leaderboard') {
+    return save({ leaderboard_schedule: interaction.options.getString('schedule') });
+  }
+
+  if (sub === 'announce') {
+    const min_tier = interaction.options.getString('min_tier');
+    const templateText = interaction.options.getString('template');
+    const defaultTemplate = interaction.options.getBoolean('default_template') || false;
+    const patch = {};
+    if (min_tier !== null) patch.announce_min_tier = min_tier;
+    if (defaultTemplate) {
+      patch.announce_template = null;
+    } else if (templateText !== null) {
+      const checked = validateTemplate(templateText);
+      if (!checked.ok) return interaction.editReply({ content: `❌ ${checked.error}`, flags: 64 });
+      patch.announce_template = checked.template;
+    }
+    if (!Object.keys(patch).length) {
+      return interaction.editReply({ content: `❌ Give a \`min_tier\`, a \`template\`, or \`default_template:true\`.`, flags: 64 });
+    }
+    return save(patch);
+  }
+
+  const settings = await loadServerSettings(supabase, server_id);
+  return interaction.editReply({ content: `**Spin settings**\n${describeSettings(settings)}`, flags: 64 });
+}
+
+// /spinrole set|remove|list — Discord role rules (lib/roles.js).
+async function handleSpinRoleCommand(interaction, supabase, retryQuery) {
+  const discord_id = interaction.user.id;
+  const server_id = interaction.guildId;
+  const sub = interaction.options.getSubcommand();
+
+  console.log(`Processing /spinrole ${sub} for user: ${discord_id}, server: ${server_id}`);
+
+  try {
+    await interaction.deferReply({ flags: 64 });
+  } catch (error) {
+    console.error(`Defer reply failed: ${error.message}`);
+    return;
+  }
+
+  if (await callerAdminLevel(interaction, supabase, retryQuery) !== 'superadmin') {
+    return interaction.editReply({ content: `❌ Only superadmins can use /spinrole.`, flags: 64 });
+  }
+
+  const { data: configs, error: cfgErr } = await retryQuery(() =>
+    supabase.from('wheel_configurations').select('contract_address, token_name').eq('server_id', server_id)
+  );
+  if (cfgErr) {
+    console.error(`wheel_configurations query error: ${cfgErr.message}`);
+    return interaction.editReply({ content: `❌ Database error loading wheel configuration.`, flags: 64 });
+  }
+  const nameOf = (ca) => ca === ALL_TOKENS
+    ? 'all tokens'
+    : (configs || []).find(c => c.contract_address === ca)?.token_name || `${ca.slice(0, 4)}…${ca.slice(-4)}`;
+  const mentions = { allowedMentions: { parse: [] } };
+
+  if (sub === 'list') {
+    let rules;
+    try {
+      rules = await retryQuery(() => loadRoleRules(supabase, server_id));
+    } catch (error) {
+      console.error(`role_rules query error: ${error.message}`);
+      return interaction.editReply({ content: `❌ Database error loading role rules.`, flags: 64 });
+    }
+    if (!rules.length) return interaction.editReply({ content: `ℹ️ No role rules. Add one with \`/spinrole set\`.`, flags: 64 });
+    const lines = rules.map(r => `• <@&${r.role_id}> on **${nameOf(r.contract_address)}**: ${describeRoleRule(r)}`);
+    return interaction.editReply({ content: `**Role rules**\n${lines.join('\n')}`, flags: 64, ...mentions });
+  }
+
+  const role = interaction.options.getRole('role');
+  const tokenName = interaction.options.getString('token_name');
+  let contract_address = ALL_TOKENS;
+  if (tokenName) {
+    const match = (configs || []).find(c => normalizeTokenName(c.token_name) === normalizeTokenName(tokenName));
+    if (!match) return interaction.editReply({ content: `❌ Unknown token name for this server.`, flags: 64 });
+    contract_address = match.contract_address;
+  }
+
+  if (sub === 'remove') {
+    const { error } = await retryQuery(() =>
+      supabase.from('role_rules').delete()
+        .eq('server_id', server_id).eq('contract_address', contract_address).eq('role_id', role.id)
+    );
+    if (error) {
+      console.error(`role_rules delete error: ${error.message}`);
+      return interaction.editReply({ content: `❌ Failed to remove role rule.`, flags: 64 });
+    }
+    return interaction.editReply({ content: `✅ Removed the rule for <@&${role.id}> on **${nameOf(contract_address)}**.`, flags: 64, ...mentions });
+  }
+
+  // set: 0 clears spins, 1 clears the multiplier.
+  const required = interaction.options.getBoolean('required');
+  const spins = interaction.options.getInteger('spins');
+  const multiplier = interaction.options.getNumber('multiplier');
+  if (required === null && spins === null && multiplier === null) {
+    return interaction.editReply({ content: `❌ Set at least one of \`required\`, \`spins\` or \`multiplier\`.`, flags: 64 });
+  }
+  const patch = {};
+  if (required !== null) patch.required = required;
+  if (spins !== null) patch.spin_limit = spins > 0 ? spins : null;
+  if (multiplier !== null) patch.payout_multiplier = multiplier > 1 ? multiplier : null;
+
+  const { data: saved, error } = await retryQuery(() =>
+    supabase
+      .from('role_rules')
+      .upsert(
+        { server_id, contract_address, role_id: role.id, ...patch, updated_by: discord_id, updated_at: new Date().toISOString() },
+        { onConflict: 'server_id,contract_address,role_id' }
+      )
+      .select('contract_address, role_id, required, spin_limit, payout_multiplier')
+      .single()
+  );
+  if (error || !saved) {
+    console.error(`role_rules upsert error: ${error?.message || 'unknown'}`);
+    return interaction.editReply({ content: `❌ Failed to save role rule.`, flags: 64 });
+  }
+  return interaction.editReply({
+    content: `✅ <@&${role.id}> on **${nameOf(contract_address)}**: ${describeRoleRule(saved)}`,
+    flags: 64,
+    ...mentions
+  });
+}
+
+// The admin panel's address: adminpanel.html next to the wheel page (SPIN_URL).
+// The session goes in the fragment, which browsers never send to a server, so it
+// stays out of access logs; the panel moves it to sessionStorage on load.
+function adminPanelUrl(server_id, session, contract_address = null) {
+  const url = new URL('adminpanel.html', (SPIN_URL || '').trim());
+  url.search = `?server_id=${encodeURIComponent(server_id)}` +
+    (contract_address ? `&contract_address=${encodeURIComponent(contract_address)}` : '');
+  url.hash = `session=${encodeURIComponent(session)}`;
+  return url.toString();
+}
+
+// /spinadmin panel [token_name] — any admin: a short-lived admin session for this
+// server only, opening on that token (or the server's default) so its balances show.
+async function handleAdminPanel(interaction, supabase, retryQuery) {
+  const discord_id = interaction.user.id;
+  const server_id = interaction.guildId;
+  const token_name = interaction.options.getString('token_name');
+
+  let level;
+  try {
+    level = await retryQuery(() => adminLevel(supabase, server_id, discord_id, memberRoleIds(interaction.member)));
+  } catch (error) {
+    console.error(`Admin level lookup error: ${error.message}`);
+    return interaction.editReply({ content: `❌ Database error checking your admin level.`, flags: 64 });
+  }
+  if (!level.level) {
+    return interaction.editReply({ content: `❌ The admin panel is for this server's admins.`, flags: 64 });
+  }
+
+  // Without a token_name a server with no default just opens on the all-tokens view.
+  const tok = await resolveTokenForServer(server_id, token_name).catch((e) => ({ error: e.message }));
+  if (tok.error && token_name) return interaction.editReply({ content: `❌ ${tok.error}`, flags: 64 });
+
+  let issued;
+  try {
+    // Only the role-derived level rides on the session; a direct grant is re-read per request.
+    issued = await retryQuery(() => createAdminSession(supabase, { server_id, discord_id, admin_role: level.from_roles }));
+  } catch (error) {
+    console.error(`Admin session error: ${error.message}`);
+    return interaction.editReply({ content: `❌ Failed to open an admin session.`, flags: 64 });
+  }
+
+  console.log(`/spinadmin panel session for ${discord_id} (${level.level}) on ${server_id}`);
+  return interaction.editReply({
+    content: `🔐 Admin panel (**${level.level}**):\n${adminPanelUrl(server_id, issued.session, tok.contract_address)}\n` +
+      `This session works only in this server and ends ${discordTime(issued.expires_at)}, or when you log out. ` +
+      `Don't share it — anyone with the link has your admin rights until then.`,
+    flags: 64
+  });
+}
+
+// /spinadmin add|remove|list — admin levels for members and Discord roles (lib/admins.js).
+// /spinadmin panel — a session for the web admin panel (lib/adminSessions.js).
+async function handleSpinAdminCommand(interaction, supabase, retryQuery) {
+  const discord_id = interaction.user.id;
+  const server_id = interaction.guildId;
+  const sub = interaction.options.getSubcommand();
+
+  console.log(`Processing /spinadmin ${sub} for user: ${discord_id}, server: ${server_id}`);
+
+  try {
+    await interaction.deferReply({ flags: 64 });
+  } catch (error) {
+    console.error(`Defer reply failed: ${error.message}`);
+    return;
+  }
+
+  if (sub === 'panel') return handleAdminPanel(interaction, supabase, retryQuery);
+  if (await callerAdminLevel(interaction, supabase, retryQuery) !== 'superadmin') {
+    return interaction.editReply({ content: `❌ Only superadmins can manage admins.`, flags: 64 });
+  }
+  const mentions = { allowedMentions: { parse: [] } };
+
+  if (sub === 'list') {
+    let admins, mappings, audit;
+    try {
+      [{ data: admins }, mappings, { data: audit }] = await retryQuery(() => Promise.all([
+        supabase.from('server_admins').select('discord_id, role').eq('server_id', server_id),
+        loadAdminMappings(supabase, server_id),
+        supabase.from('admin_audit').select('actor_id, action, target_type, target_id, old_level, new_level, created_at')
+          .eq('server_id', server_id).order('created_at', { ascending: false }).limit(5),
+      ]));
+    } catch (error) {
+      console.error(`Admin list error: ${error.message}`);
+      return interaction.editReply({ content: `❌ Database error loading admins.`, flags: 64 });
+    }
+    const byLevel = (a, b) => (a.role || a.level) === 'superadmin' ? -1 : (b.role || b.level) === 'superadmin' ? 1 : 0;
+    const lines = ['**Admins**'];
+    for (const a of (admins || []).sort(byLevel)) lines.push(`• <@${a.discord_id}> — ${a.role}`);
+    for (const m of mappings.sort(byLevel)) lines.push(`• <@&${m.role_id}> (role) — ${m.level}`);
+    if (lines.length === 1) lines.push('• none');
+    if (audit?.length) {
+      lines.push('', '**Recent changes**');
+      for (const e of audit) {
+        const target = e.target_type === 'role' ? `<@&${e.target_id}>` : `<@${e.target_id}>`;
+        lines.push(`• ${discordTime(e.created_at)} <@${e.actor_id}>: ${target} ${e.old_level || 'none'} → ${e.new_level || 'none'}`);
+      }
+    }
+    return interaction.editReply({ content: lines.join('\n'), flags: 64, ...mentions });
+  }
+
+  const member = interaction.options.getUser('member');
+  const role = interaction.options.getRole('role');
+  if (!member === !role) {
+    return interaction.editReply({ content: `❌ Pick either a \`member\` or a \`role\`.`, flags: 64 });
+  }
+  const target = member ? `<@${member.id}>` : `<@&${role.id}>`;
+
+  let result;
+  try {
+    if (sub === 'add') {
+      const level = interaction.options.getString('level');
+      result = member
+        ? await retryQuery(() => grantAdmin(supabase, { server_id, discord_id: member.id, level, actor_id: discord_id }))
+        : await retryQuery(() => mapAdminRole(supabase, { server_id, role_id: role.id, level, actor_id: discord_id }));
+      if (result.ok && result.old_level === level) {
+        return interaction.editReply({ content: `ℹ️ ${target} is already **${level}**.`, flags: 64, ...mentions });
+      }
+      if (result.ok) {
+        console.log(`/spinadmin add ${member ? `member ${member.id}` : `role ${role.id}`} ${result.old_level || 'none'} → ${level} by ${discord_id}`);
+        return interaction.editReply({ content: `✅ ${target} is now **${level}**${member ? '' : ' for everyone holding it'}.`, flags: 64, ...mentions });
+      }
+    } else {
+      result = member
+        ? await retryQuery(() => revokeAdmin(supabase, { server_id, discord_id: member.id, actor_id: discord_id }))
+        : await retryQuery(() => unmapAdminRole(supabase, { server_id, role_id: role.id, actor_id: discord_id }));
+      if (result.ok) {
+        console.log(`/spinadmin remove ${member ? `member ${member.id}` : `role ${role.id}`} (was ${result.old_level}) by ${discord_id}`);
+        return interaction.editReply({ content: `✅ ${target} is no longer **${result.old_level}**.`, flags: 64, ...mentions });
+      }
+    }
+  } catch (error) {
+    console.error(`/spinadmin ${sub} error: ${error.message}`);
+    return interaction.editReply({ content: `❌ Failed to update admins.`, flags: 64 });
+  }
+  return interaction.editReply({ content: `❌ ${result.error}`, flags: 64 });
+}
+
+// /spinprivacy announce:<bool> — whether this member's big wins are posted here.
+async function handleSpinPrivacyCommand(interaction, supabase, retryQuery) {
+  const discord_id = interaction.user.id;
+  const server_id = interaction.guildId;
+  const announce = interaction.options.getBoolean('announce');
+
+  try {
+    await interaction.deferReply({ flags: 64 });
+  } catch (error) {
+    console.error(`Defer reply failed: ${error.message}`);
+    return;
+  }
+
+  const { error } = await retryQuery(() =>
+    announce
+      ? supabase.from('announce_optouts').delete().eq('server_id', server_id).eq('discord_id', discord_id)
+      : supabase.from('announce_optouts').upsert({ server_id, discord_id }, { onConflict: 'server_id,discord_id' })
+  );
+  if (error) {
+    console.error(`announce_optouts save error: ${error.message}`);
+    return interaction.editReply({ content: `❌ Failed to save your preference.`, flags: 64 });
+  }
   return interaction.editReply({
-    content: `✅ Enabled token **${cfg.token_name}** for this server${set_default ? ' as default' : ''}.`,
+    content: announce
+      ? `✅ Your big wins may be announced in the spin channel here.`
+      : `✅ Your wins won't be announced in this server. Use \`/spinprivacy announce:true\` to change that.`,
     flags: 64
   });
 }
@@ -319,9 +1063,14 @@ async function handleHelpCommand(interaction) {
       `Commands:\n` +
       `• /mywallet (set or view wallet)\n` +
       `• /spin (get a spin link)\n` +
+      `• /spinstats (your spin history)\n` +
+      `• /spinprivacy (announce your big wins or not)\n` +
       `• /leaders (view leaderboard)\n`,
     flags: 64
   });
 }
 
-export { handleSpinCommand, handleWalletCommand, handleHelpCommand, handleSetTokenCommand };
+export {
+  handleSpinCommand, handleWalletCommand, handleHelpCommand, handleSetTokenCommand, handleSpinConfigCommand, handleSpinRoleCommand,
+  handleSpinPrivacyCommand, handleSpinAdminCommand
+};
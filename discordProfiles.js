@@ -0,0 +1,95 @@
+import { client, supabase } from './index.js';
+import { profileRow, upsertDiscordUsers } from './lib/discordUsers.js';
+
+// Keeps discord_users (lib/discordUsers.js) in step with Discord, in three ways:
+//   - every interaction upserts the user's profile (index.js);
+//   - a scheduled refresh (jobs.js) re-fetches profiles that are missing or stale;
+//   - with DISCORD_MEMBER_EVENTS=true, profile changes are written as they happen.
+// The first two need no privileged intent. Outside the refresh, writes are skipped
+// when nothing changed since this process last wrote that user, so the
+// per-interaction upsert is usually free.
+
+// How old a stored profile may get before the scheduled refresh re-fetches it.
+const STALE_DAYS = 7;
+// Profiles fetched per backfill pass, oldest first; the rest wait for the next one.
+const BACKFILL_BATCH = 1000;
+// Gap between Discord profile fetches during the backfill; discord.js queues on
+// rate limits anyway, this just keeps the backfill from hogging the REST bucket.
+const FETCH_GAP_MS = 250;
+// Discord API error code for a user ID that doesn't exist.
+const UNKNOWN_USER = 10013;
+
+const lastWritten = new Map();
+
+const rowKey = (row) => JSON.stringify(row);
+
+/**
+ * Upsert one user's profile if it differs from what we last wrote, or always with
+ * `force` (the refresh must advance updated_at even when nothing changed). Never throws.
+ */
+async function rememberUser(user, { force = false } = {}) {
+  if (!user?.id || user.bot) return;
+  const row = profileRow(user);
+  const key = rowKey(row);
+  if (!force && lastWritten.get(row.discord_id) === key) return;
+  try {
+    await upsertDiscordUsers(supabase, [row]);
+    lastWritten.set(row.discord_id, key);
+  } catch (e) {
+    console.error(`[discord-users] ${row.discord_id}: ${e?.message || e}`);
+  }
+}
+
+// Everyone who has ever spun whose profile is missing or older than STALE_DAYS.
+// spinner_profiles does the DISTINCT and the join in Postgres, so this reads one
+// row per stale player rather than the whole of daily_spins:
+//   CREATE VIEW spinner_profiles AS
+//     SELECT s.discord_id, u.updated_at
+//     FROM (SELECT DISTINCT discord_id FROM daily_spins) s
+//     LEFT JOIN discord_users u ON u.discord_id = s.discord_id;
+async function backfillDiscordUsers() {
+  const staleBefore = new Date(Date.now() - STALE_DAYS * 24 * 3600 * 1000).toISOString();
+  const { data, error } = await supabase
+    .from('spinner_profiles')
+    .select('discord_id')
+    .or(`updated_at.is.null,updated_at.lt."${staleBefore}"`)
+    .order('updated_at', { ascending: true, nullsFirst: true })
+    .limit(BACKFILL_BATCH);
+  if (error) throw new Error(`backfill query failed: ${error.message}`);
+
+  const ids = (data || []).map((r) => String(r.discord_id)).filter((id) => /^\d+$/.test(id));
+  if (!ids.length) return;
+
+  let synced = 0;
+  let missing = 0;
+  for (const id of ids) {
+    let user = null;
+    try {
+      // force: skip the client cache, or a "refresh" just writes back what it holds.
+      user = await client.users.fetch(id, { force: true });
+    } catch (e) {
+      // Deleted account, or an ID Discord won't resolve: stamp it so it stops
+      // heading every batch. The upsert only touches updated_at, so any name
+      // stored earlier stays. Other errors are left to retry next pass.
+      if (e?.code === UNKNOWN_USER) await upsertDiscordUsers(supabase, [{ discord_id: id }]).catch(() => {});
+    }
+    if (user) {
+      // Written even if unchanged: a profile left with its old updated_at would
+      // head every batch and be re-fetched on every pass.
+      await rememberUser(user, { force: true });
+      synced++;
+    } else {
+      missing++;
+    }
+    await new Promise((r) => setTimeout(r, FETCH_GAP_MS));
+  }
+  console.log(`[discord-users] backfill: ${synced} synced, ${missing} not found`);
+}
+
+// Profile changes only arrive with the GuildMembers intent (see index.js).
+function watchProfileChanges() {
+  client.on('userUpdate', (_old, user) => rememberUser(user));
+  client.on('guildMemberUpdate', (_old, member) => rememberUser(member.user));
+}
+
+export { rememberUser, backfillDiscordUsers, watchProfileChanges };
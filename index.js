@@ -1,21 +1,34 @@
-import { Client, GatewayIntentBits, REST, Routes, SlashCommandBuilder } from 'discord.js';
+import { Client, GatewayIntentBits, REST, Routes, SlashCommandBuilder, ChannelType } from 'discord.js';
 import { createClient } from '@supabase/supabase-js';
-import { Connection } from '@solana/web3.js';
 import ws from 'ws';
-import { handleLeaderboardCommand } from './leaderboards.js';
-import { handleSpinCommand, handleWalletCommand, handleSetTokenCommand, handleHelpCommand } from './commands.js';
+import { handleLeaderboardCommand, handleLeaderboardButton, LEADERBOARD_PERIODS } from './leaderboards.js';
+import { handleSpinStatsCommand } from './stats.js';
+import {
+  handleSpinCommand, handleWalletCommand, handleSetTokenCommand, handleHelpCommand, handleSpinConfigCommand, handleSpinRoleCommand,
+  handleSpinPrivacyCommand, handleSpinAdminCommand
+} from './commands.js';
+import { startScheduledJobs } from './jobs.js';
+import { rememberUser, watchProfileChanges } from './discordProfiles.js';
+import { MAX_MULTIPLIER } from './lib/roles.js';
+import { MAX_GRACE_DAYS } from './lib/streaks.js';
+import { ANNOUNCE_TIERS, TEMPLATE_FIELDS, MAX_TEMPLATE_LENGTH } from './lib/announce.js';
 
 const DISCORD_TOKEN = process.env.DISCORD_TOKEN;
 const DISCORD_APP_ID = process.env.DISCORD_APP_ID;
 const SUPABASE_URL = process.env.SUPABASE_URL;
 const SUPABASE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY;
-const SOLANA_RPC_URL = process.env.SOLANA_RPC_URL || 'https://api.mainnet-beta.solana.com';
 const SPIN_CHANNEL_NAME = "🔄│free-spin";
 const LEADERBOARD_CHANNEL_NAME = "🏆│spin-leaderboard";
 const SPIN_URL = process.env.SPIN_URL || 'https://spinbot.lightningworks.io/index.html';
 const DEFAULT_TOKEN_ADDRESS = '3vgopg7xm3EWkXfxmWPUpcf7g939hecfqg18sLuXDzVt'; // $HAROLD
 
-const client = new Client({ intents: [GatewayIntentBits.Guilds] });
+// Names stay fresh without it (discordProfiles.js: every interaction, plus a
+// scheduled refresh). Live profile updates need the privileged GuildMembers
+// intent, which must also be switched on in the Developer Portal or login fails.
+const MEMBER_EVENTS = process.env.DISCORD_MEMBER_EVENTS === 'true';
+const client = new Client({
+  intents: [GatewayIntentBits.Guilds, ...(MEMBER_EVENTS ? [GatewayIntentBits.GuildMembers] : [])],
+});
 
 // supabase-js builds a Realtime client in its constructor, and that needs a global
 // WebSocket, which Node 20 does not have — so `createClient` throws at startup and
@@ -27,7 +40,6 @@ const client = new Client({ intents: [GatewayIntentBits.Guilds] });
 const supabase = createClient(SUPABASE_URL, SUPABASE_KEY, {
   realtime: { transport: ws },
 });
-const solanaConnection = new Connection(SOLANA_RPC_URL, { commitment: 'confirmed' });
 
 async function retryQuery(queryFn, maxRetries = 3, delay = 1000) {
   for (let attempt = 1; attempt <= maxRetries; attempt++) {
@@ -42,9 +54,11 @@ async function retryQuery(queryFn, maxRetries = 3, delay = 1000) {
 }
 
 client.on('interactionCreate', async (interaction) => { try { 
+  // Every interaction carries the user's current profile, intent or not.
+  rememberUser(interaction.user); // not awaited: the reply mustn't wait on it
   if (interaction.isAutocomplete()) {
     console.log(`Handling autocomplete for command: ${interaction.commandName}, server: ${interaction.guildId}`);
-    if (['spin', 'freespin', 'dailyspin', 'leaders', 'leaderboard', 'spinleaders'].includes(interaction.commandName)) {
+    if (['spin', 'freespin', 'dailyspin', 'leaders', 'leaderboard', 'spinleaders', 'spinrole', 'spinstats', 'spinadmin'].includes(interaction.commandName)) {
       const server_id = interaction.guildId;
       try {
         const focusedValue = interaction.options.getFocused();
@@ -92,25 +106,35 @@ client.on('interactionCreate', async (interaction) => { try {
     }
     return;
   }
+  if (interaction.isButton()) {
+    if (interaction.customId.startsWith('lb:')) await handleLeaderboardButton(interaction);
+    return;
+  }
   if (!interaction.isChatInputCommand()) return;
 
   const _chName = interaction.channel?.name || '(unknown)';
   console.log(`Received command: ${interaction.commandName}, channel: ${_chName}`);
 
   if (["spin", "freespin", "dailyspin"].includes(interaction.commandName)) {
-    if ((interaction.channel?.name || '').toLowerCase() !== SPIN_CHANNEL_NAME.toLowerCase()) {
-      console.log(`Channel mismatch: expected ${SPIN_CHANNEL_NAME}, got ${_chName}`);
-      return interaction.reply({ content: `Please use this command in the #${SPIN_CHANNEL_NAME} channel.`, flags: 64 });
-    }
     await handleSpinCommand(interaction, supabase, retryQuery);
   } else if (["mywallet", "addmywallet", "myaddr", "myaddress"].includes(interaction.commandName)) {
     await handleWalletCommand(interaction, supabase, retryQuery);
   } else if (["leaders", "leaderboard", "spinleaders"].includes(interaction.commandName)) {
     await handleLeaderboardCommand(interaction, client, supabase, retryQuery);
+  } else if (interaction.commandName === "spinstats") {
+    await handleSpinStatsCommand(interaction);
+  } else if (interaction.commandName === "spinprivacy") {
+    await handleSpinPrivacyCommand(interaction, supabase, retryQuery);
   } else if (interaction.commandName === "spinhelp") {
     await handleHelpCommand(interaction);
   } else if (interaction.commandName === "settoken") {
     await handleSetTokenCommand(interaction, supabase, retryQuery);
+  } else if (interaction.commandName === "spinconfig") {
+    await handleSpinConfigCommand(interaction, supabase, retryQuery);
+  } else if (interaction.commandName === "spinrole") {
+    await handleSpinRoleCommand(interaction, supabase, retryQuery);
+  } else if (interaction.commandName === "spinadmin") {
+    await handleSpinAdminCommand(interaction, supabase, retryQuery);
   } else {
     await interaction.reply({ content: `Unknown command. Try /spinhelp`, flags: 64 });
   }
@@ -124,6 +148,15 @@ client.on('interactionCreate', async (interaction) => { try {
 } });
 
 async function registerSlashCommands() {
+  const periodOption = (option) => option.setName("period")
+    .setDescription("Time period (default: last 30 days)")
+    .setRequired(false)
+    .addChoices(...Object.entries(LEADERBOARD_PERIODS).map(([value, name]) => ({ name, value })));
+  const sortOption = (option) => option.setName("sort")
+    .setDescription("Rank by (default: payout)")
+    .setRequired(false)
+    .addChoices({ name: "payout", value: "payout" }, { name: "spins", value: "spins" });
+
   const commands = [
     new SlashCommandBuilder().setName("spin").setDescription("Spin the wheel to win tokens")
       .addStringOption(option =>
@@ -131,21 +164,27 @@ async function registerSlashCommands() {
           .setDescription("Choose a token to spin")
           .setRequired(false)
           .setAutocomplete(true)
-      ),
+      )
+      .addBooleanOption(option => option.setName("revoke").setDescription("Void your unused spin links instead of getting a new one").setRequired(false))
+      .addUserOption(option => option.setName("user").setDescription("With revoke: whose links to void (superadmin only)").setRequired(false)),
     new SlashCommandBuilder().setName("freespin").setDescription("Alias for /spin")
       .addStringOption(option =>
         option.setName("token_name")
           .setDescription("Choose a token to spin")
           .setRequired(false)
           .setAutocomplete(true)
-      ),
+      )
+      .addBooleanOption(option => option.setName("revoke").setDescription("Void your unused spin links instead of getting a new one").setRequired(false))
+      .addUserOption(option => option.setName("user").setDescription("With revoke: whose links to void (superadmin only)").setRequired(false)),
     new SlashCommandBuilder().setName("dailyspin").setDescription("Alias for /spin")
       .addStringOption(option =>
         option.setName("token_name")
           .setDescription("Choose a token to spin")
           .setRequired(false)
           .setAutocomplete(true)
-      ),
+      )
+      .addBooleanOption(option => option.setName("revoke").setDescription("Void your unused spin links instead of getting a new one").setRequired(false))
+      .addUserOption(option => option.setName("user").setDescription("With revoke: whose links to void (superadmin only)").setRequired(false)),
     new SlashCommandBuilder().setName("mywallet").setDescription("Link or view your Solana wallet address")
       .addStringOption(option => option.setName("address").setDescription("Your Solana wallet address (optional)").setRequired(false)),
     new SlashCommandBuilder().setName("addmywallet").setDescription("Link or view your Solana wallet address")
@@ -160,26 +199,175 @@ async function registerSlashCommands() {
           .setDescription("Choose a token to view its leaderboard")
           .setRequired(false)
           .setAutocomplete(true)
-      ),
+      )
+      .addStringOption(periodOption)
+      .addStringOption(sortOption),
     new SlashCommandBuilder().setName("leaderboard").setDescription("Alias for /leaders")
       .addStringOption(option =>
         option.setName("token_name")
           .setDescription("Choose a token to view its leaderboard")
           .setRequired(false)
           .setAutocomplete(true)
-      ),
+      )
+      .addStringOption(periodOption)
+      .addStringOption(sortOption),
     new SlashCommandBuilder().setName("spinleaders").setDescription("View the current leaderboard")
       .addStringOption(option =>
         option.setName("token_name")
           .setDescription("Choose a token to view its leaderboard")
           .setRequired(false)
           .setAutocomplete(true)
+      )
+      .addStringOption(periodOption)
+      .addStringOption(sortOption),
+    new SlashCommandBuilder().setName("spinstats").setDescription("Your own spin history, best win and streak")
+      .addStringOption(option =>
+        option.setName("token_name")
+          .setDescription("Choose a token to see details for")
+          .setRequired(false)
+          .setAutocomplete(true)
       ),
+    new SlashCommandBuilder().setName("spinprivacy").setDescription("Whether your big wins are announced in this server")
+      .addBooleanOption(option => option.setName("announce").setDescription("Allow the bot to post your big wins in the spin channel").setRequired(true)),
     new SlashCommandBuilder().setName("spinhelp").setDescription("View available commands"),
     new SlashCommandBuilder().setName("settoken").setDescription("Add or remove a token for this server (superadmin only)")
       .addStringOption(option => option.setName("contract_address").setDescription("Token contract address").setRequired(true))
       .addBooleanOption(option => option.setName("remove").setDescription("Remove the token").setRequired(false))
-      .addBooleanOption(option => option.setName("default").setDescription("Set as default token").setRequired(false)),
+      .addBooleanOption(option => option.setName("default").setDescription("Set as default token").setRequired(false))
+      .addIntegerOption(option => option.setName("spins").setDescription("Spins allowed per window (default 1)").setRequired(false).setMinValue(1).setMaxValue(100))
+      .addStringOption(option =>
+        option.setName("per")
+          .setDescription("Allowance window (default: day)")
+          .setRequired(false)
+          .addChoices(
+            { name: "day", value: "day" },
+            { name: "week", value: "week" },
+            { name: "rolling hours (cooldown)", value: "hours" }
+          )
+      )
+      .addIntegerOption(option => option.setName("hours").setDescription("Length of a rolling window, in hours").setRequired(false).setMinValue(1).setMaxValue(720))
+      .addNumberOption(option => option.setName("cap_daily").setDescription("Max tokens paid out per day (0 = no cap)").setRequired(false).setMinValue(0))
+      .addNumberOption(option => option.setName("cap_weekly").setDescription("Max tokens paid out per week (0 = no cap)").setRequired(false).setMinValue(0))
+      .addNumberOption(option => option.setName("cap_monthly").setDescription("Max tokens paid out per calendar month (0 = no cap)").setRequired(false).setMinValue(0))
+      .addStringOption(option =>
+        option.setName("cap_mode")
+          .setDescription("What to do when a prize would exceed a cap (default: refuse)")
+          .setRequired(false)
+          .addChoices(
+            { name: "refuse the spin", value: "refuse" },
+            { name: "re-draw a prize that fits", value: "redraw" }
+          )
+      )
+      .addStringOption(option =>
+        option.setName("fee_mode")
+          .setDescription("For Token-2022 mints with a transfer fee (default: gross_up)")
+          .setRequired(false)
+          .addChoices(
+            { name: "pay the fee on top (winner gets the full prize)", value: "gross_up" },
+            { name: "deduct the fee from the prize", value: "net" }
+          )
+      ),
+    new SlashCommandBuilder().setName("spinconfig").setDescription("Configure the spin bot for this server (superadmin only)")
+      .addSubcommand(sub =>
+        sub.setName("show").setDescription("Show this server's spin settings")
+      )
+      .addSubcommand(sub =>
+        sub.setName("reset").setDescription("Set when the spin day rolls over")
+          .addStringOption(option => option.setName("timezone").setDescription("IANA time zone, e.g. America/New_York").setRequired(true))
+          .addIntegerOption(option => option.setName("hour").setDescription("Local hour the day resets (0-23, default 0)").setRequired(false).setMinValue(0).setMaxValue(23))
+      )
+      .addSubcommand(sub =>
+        sub.setName("alerts").setDescription("Where to post prize pool balance and refused-spin alerts")
+          .addChannelOption(option => option.setName("channel").setDescription("Admin channel for alerts").setRequired(false).addChannelTypes(ChannelType.GuildText, ChannelType.GuildAnnouncement))
+          .addBooleanOption(option => option.setName("off").setDescription("Stop posting alerts").setRequired(false))
+      )
+      .addSubcommand(sub =>
+        sub.setName("channels").setDescription("Which channels /spin works in and where leaderboards and alerts are posted")
+          .addChannelOption(option => option.setName("add_spin").setDescription("Allow /spin in this channel").setRequired(false).addChannelTypes(ChannelType.GuildText, ChannelType.GuildAnnouncement))
+          .addChannelOption(option => option.setName("remove_spin").setDescription("Stop allowing /spin in this channel").setRequired(false).addChannelTypes(ChannelType.GuildText, ChannelType.GuildAnnouncement))
+          .addChannelOption(option => option.setName("leaderboard").setDescription("Channel for the scheduled leaderboard posts").setRequired(false).addChannelTypes(ChannelType.GuildText, ChannelType.GuildAnnouncement))
+          .addChannelOption(option => option.setName("alerts").setDescription("Admin channel for prize pool alerts").setRequired(false).addChannelTypes(ChannelType.GuildText, ChannelType.GuildAnnouncement))
+          .addBooleanOption(option => option.setName("default_names").setDescription(`Forget the spin and leaderboard channels and match ${SPIN_CHANNEL_NAME} / ${LEADERBOARD_CHANNEL_NAME} by name`).setRequired(false))
+      )
+      .addSubcommand(sub =>
+        sub.setName("delivery").setDescription("How /spin hands members their spin link")
+          .addStringOption(option => option.setName("mode").setDescription("Where the link goes").setRequired(true)
+            .addChoices(
+              { name: "private reply in the channel", value: "ephemeral" },
+              { name: "direct message", value: "dm" }
+            ))
+      )
+      .addSubcommand(sub =>
+        sub.setName("wallet").setDescription("Whether members must verify wallet ownership before spinning")
+          .addBooleanOption(option => option.setName("require").setDescription("Require a verified wallet").setRequired(true))
+      )
+      .addSubcommand(sub =>
+        sub.setName("sybil").setDescription("Anti-abuse rules for who may spin (0 turns a rule off)")
+          .addIntegerOption(option => option.setName("min_account_days").setDescription("Minimum Discord account age, in days").setRequired(false).setMinValue(0).setMaxValue(3650))
+          .addIntegerOption(option => option.setName("min_member_days").setDescription("Minimum time in this server, in days").setRequired(false).setMinValue(0).setMaxValue(3650))
+          .addIntegerOption(option => option.setName("max_accounts_per_wallet").setDescription("Most Discord accounts that may share one wallet").setRequired(false).setMinValue(0).setMaxValue(100))
+      )
+      .addSubcommand(sub =>
+        sub.setName("streaks").setDescription("Bonuses for consecutive spin days")
+          .addStringOption(option => option.setName("curve").setDescription("Steps as days:bonus, e.g. 3:10%, 7:25%, 30:rare").setRequired(false))
+          .addIntegerOption(option => option.setName("grace").setDescription(`Missed days a streak survives (0-${MAX_GRACE_DAYS})`).setRequired(false).setMinValue(0).setMaxValue(MAX_GRACE_DAYS))
+          .addBooleanOption(option => option.setName("off").setDescription("Remove all streak bonuses").setRequired(false))
+      )
+      .addSubcommand(sub =>
+        sub.setName("leaderboard").setDescription("How often the leaderboard channel gets a new leaderboard")
+          .addStringOption(option => option.setName("schedule").setDescription("Period of the live leaderboard (default: weekly)").setRequired(true)
+            .addChoices(
+              { name: "daily, at the reset hour", value: "daily" },
+              { name: "weekly, starting Monday", value: "weekly" },
+              { name: "monthly, starting the 1st", value: "monthly" },
+              { name: "off", value: "off" }
+            ))
+      )
+      .addSubcommand(sub =>
+        sub.setName("announce").setDescription("Public big-win posts in the spin channel")
+          .addStringOption(option => option.setName("min_tier").setDescription("Lowest tier to announce (default: epic)").setRequired(false)
+            .addChoices(...ANNOUNCE_TIERS.map(t => ({ name: t, value: t })), { name: "off", value: "off" }))
+          .addStringOption(option => option.setName("template").setDescription(`Message, with ${TEMPLATE_FIELDS.map(f => `{${f}}`).join(' ')}`).setRequired(false).setMaxLength(MAX_TEMPLATE_LENGTH))
+          .addBooleanOption(option => option.setName("default_template").setDescription("Go back to the built-in message").setRequired(false))
+      ),
+    new SlashCommandBuilder().setName("spinrole").setDescription("Role requirements, spin limits and payout multipliers (superadmin only)")
+      .addSubcommand(sub =>
+        sub.setName("set").setDescription("Add or change a role rule")
+          .addRoleOption(option => option.setName("role").setDescription("Discord role").setRequired(true))
+          .addStringOption(option => option.setName("token_name").setDescription("Only for this token (default: all tokens)").setRequired(false).setAutocomplete(true))
+          .addBooleanOption(option => option.setName("required").setDescription("Only members with a required role can spin").setRequired(false))
+          .addIntegerOption(option => option.setName("spins").setDescription("Spins per window for this role (0 = token default)").setRequired(false).setMinValue(0).setMaxValue(100))
+          .addNumberOption(option => option.setName("multiplier").setDescription(`Payout multiplier for this role (1 = none, max ${MAX_MULTIPLIER})`).setRequired(false).setMinValue(1).setMaxValue(MAX_MULTIPLIER))
+      )
+      .addSubcommand(sub =>
+        sub.setName("remove").setDescription("Remove a role rule")
+          .addRoleOption(option => option.setName("role").setDescription("Discord role").setRequired(true))
+          .addStringOption(option => option.setName("token_name").setDescription("The token the rule is for (default: all tokens)").setRequired(false).setAutocomplete(true))
+      )
+      .addSubcommand(sub =>
+        sub.setName("list").setDescription("Show this server's role rules")
+      ),
+    new SlashCommandBuilder().setName("spinadmin").setDescription("Admin panel access, and who can administer the spin bot here")
+      .addSubcommand(sub =>
+        sub.setName("add").setDescription("Give a member, or everyone with a role, an admin level (superadmin only)")
+          .addStringOption(option => option.setName("level").setDescription("Admin level").setRequired(true)
+            .addChoices({ name: "admin", value: "admin" }, { name: "superadmin", value: "superadmin" }))
+          .addUserOption(option => option.setName("member").setDescription("Member to promote").setRequired(false))
+          .addRoleOption(option => option.setName("role").setDescription("Discord role to map to this level").setRequired(false))
+      )
+      .addSubcommand(sub =>
+        sub.setName("remove").setDescription("Take away a member's admin level, or a role's mapping (superadmin only)")
+          .addUserOption(option => option.setName("member").setDescription("Member to demote").setRequired(false))
+          .addRoleOption(option => option.setName("role").setDescription("Role to unmap").setRequired(false))
+      )
+      .addSubcommand(sub =>
+        sub.setName("list").setDescription("Show admins, mapped roles and recent changes (superadmin only)")
+      )
+      .addSubcommand(sub =>
+        sub.setName("panel").setDescription("Get a short-lived link to the web admin panel for this server")
+          .addStringOption(option => option.setName("token_name").setDescription("Token to open on (default: the server's default token)")
+            .setRequired(false).setAutocomplete(true))
+      ),
   ].map(c => c.toJSON());
 
   try {
@@ -193,6 +381,12 @@ async function registerSlashCommands() {
 
 registerSlashCommands();
 
+client.once('ready', () => {
+  console.log(`Logged in as ${client.user.tag}`);
+  if (MEMBER_EVENTS) watchProfileChanges();
+  startScheduledJobs();
+});
+
 export {
   client,
   supabase,
@@ -0,0 +1,65 @@
+import { supabase } from './index.js';
+import { reconcileReviewSpins, recoverReservedSpins } from './lib/reconcile.js';
+import { payoutBackend } from './lib/payout/index.js';
+import { expireStaleSpinTokens } from './lib/spinTokens.js';
+import { checkPoolAlerts } from './poolAlerts.js';
+import { postLeaderboards } from './leaderboardPosts.js';
+import { announceBigWins } from './bigWins.js';
+import { backfillDiscordUsers } from './discordProfiles.js';
+
+const RECONCILE_INTERVAL_MINUTES = Number(process.env.RECONCILE_INTERVAL_MINUTES ?? 10);
+const SWEEP_INTERVAL_MINUTES = Number(process.env.SWEEP_INTERVAL_MINUTES ?? 15);
+const POOL_ALERT_INTERVAL_MINUTES = Number(process.env.POOL_ALERT_INTERVAL_MINUTES ?? 5);
+const LEADERBOARD_POST_INTERVAL_MINUTES = Number(process.env.LEADERBOARD_POST_INTERVAL_MINUTES ?? 15);
+const BIG_WIN_INTERVAL_MINUTES = Number(process.env.BIG_WIN_INTERVAL_MINUTES ?? 1);
+const PROFILE_REFRESH_INTERVAL_MINUTES = Number(process.env.PROFILE_REFRESH_INTERVAL_MINUTES ?? 360);
+
+// Runs `fn` every `minutes`, never overlapping with itself: a slow RPC pass that
+// outlives its interval is skipped rather than stacked. 0 (or junk) disables it.
+function every(name, minutes, fn) {
+  if (!Number.isFinite(minutes) || minutes <= 0) {
+    console.log(`[jobs] ${name} disabled`);
+    return;
+  }
+  let running = false;
+  const run = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await fn();
+    } catch (err) {
+      console.error(`[jobs] ${name} failed: ${err?.message || err}`);
+    } finally {
+      running = false;
+    }
+  };
+  setInterval(run, minutes * 60 * 1000);
+  run();
+}
+
+function startScheduledJobs() {
+  every('reconcile-review', RECONCILE_INTERVAL_MINUTES, async () => {
+    const r = await recoverReservedSpins({ supabase, payout: payoutBackend() });
+    if (r.checked) console.log(`[jobs] recover-reserved: ${r.checked} checked, ${r.escalated} escalated, ${r.released} released, ${r.pending} pending`);
+
+    const s = await reconcileReviewSpins({ supabase, payout: payoutBackend() });
+    if (s.checked) console.log(`[jobs] reconcile-review: ${s.checked} checked, ${s.paid} paid, ${s.released} released, ${s.pending} pending`);
+  });
+
+  every('expire-links', SWEEP_INTERVAL_MINUTES, async () => {
+    const n = await expireStaleSpinTokens(supabase);
+    if (n) console.log(`[jobs] expire-links: ${n} spin link(s) expired`);
+  });
+
+  every('pool-alerts', POOL_ALERT_INTERVAL_MINUTES, checkPoolAlerts);
+
+  every('leaderboard-posts', LEADERBOARD_POST_INTERVAL_MINUTES, postLeaderboards);
+
+  every('big-wins', BIG_WIN_INTERVAL_MINUTES, announceBigWins);
+
+  // Names for players who spun while the bot wasn't watching, or whose stored
+  // profile has gone stale; the only name sync when member events are off.
+  every('discord-users', PROFILE_REFRESH_INTERVAL_MINUTES, backfillDiscordUsers);
+}
+
+export { startScheduledJobs };
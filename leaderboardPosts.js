@@ -0,0 +1,186 @@
+import { EmbedBuilder } from 'discord.js';
+import { client, supabase, LEADERBOARD_CHANNEL_NAME } from './index.js';
+import { leaderboard, rankLines } from './leaderboards.js';
+import { loadServerSettings } from './lib/serverSettings.js';
+import { dayBounds, weekBounds, monthBounds } from './lib/spinDay.js';
+import { findTextChannel } from './lib/channels.js';
+
+// Keeps one "live" leaderboard message per token pinned in each guild's
+// leaderboard channel (lib/channels.js), edited in place every pass, and posts the
+// final standings once a period closes. Periods follow the server's reset clock
+// (lib/spinDay.js) and schedule (/spinconfig leaderboard); the numbers come from
+// leaderboard() in leaderboards.js, so they are the same ones /leaders shows.
+//
+// Table and column (run once):
+//   CREATE TABLE leaderboard_posts (
+//     server_id text NOT NULL,
+//     contract_address text NOT NULL,
+//     channel_id text NOT NULL,
+//     message_id text,
+//     schedule text NOT NULL,
+//     period_start timestamptz NOT NULL,
+//     period_end timestamptz NOT NULL,
+//     updated_at timestamptz DEFAULT now(),
+//     PRIMARY KEY (server_id, contract_address)
+//   );
+//   ALTER TABLE server_settings ADD COLUMN leaderboard_schedule text;  -- daily | weekly | monthly | off
+
+export const LEADERBOARD_SCHEDULES = ['daily', 'weekly', 'monthly', 'off'];
+const DEFAULT_SCHEDULE = 'weekly';
+const TOP_N = 10;
+
+export function leaderboardSchedule(settings) {
+  return LEADERBOARD_SCHEDULES.includes(settings?.leaderboard_schedule) ? settings.leaderboard_schedule : DEFAULT_SCHEDULE;
+}
+
+function periodBounds(schedule, date, settings) {
+  if (schedule === 'daily') return dayBounds(date, settings);
+  if (schedule === 'monthly') return monthBounds(date, settings);
+  return weekBounds(date, settings);
+}
+
+function periodName(schedule, start, settings) {
+  const { label } = periodBounds(schedule, start, settings);
+  if (schedule === 'daily') return label;
+  if (schedule === 'monthly') {
+    return new Date(`${label}T00:00:00Z`).toLocaleString('en-US', { month: 'long', year: 'numeric', timeZone: 'UTC' });
+  }
+  return `week of ${label}`;
+}
+
+const LIVE_TITLE = { daily: 'Today', weekly: 'This week', monthly: 'This month' };
+
+const unix = (d) => Math.floor(new Date(d).getTime() / 1000);
+
+async function standingsEmbed(tok, list, { title, start, end, final }) {
+  const top = list.slice(0, TOP_N);
+  const lines = top.length ? await rankLines(tok, top) : ['No spins yet.'];
+  const window = final
+    ? `<t:${unix(start)}:f> – <t:${unix(end)}:f>`
+    : `Closes <t:${unix(end)}:R> · ${list.length} ${list.length === 1 ? 'player' : 'players'}`;
+  return new EmbedBuilder()
+    .setTitle(title)
+    .setDescription(`${lines.join('\n')}\n\n${window}`)
+    .setColor(final ? 0x5865f2 : 0xf0c44a)
+    .setFooter({ text: final ? 'Final standings' : 'Live · updates automatically' })
+    .setTimestamp(new Date());
+}
+
+async function loadPost(server_id, contract_address) {
+  const { data, error } = await supabase
+    .from('leaderboard_posts')
+    .select('channel_id, message_id, schedule, period_start, period_end')
+    .eq('server_id', server_id)
+    .eq('contract_address', contract_address)
+    .maybeSingle();
+  if (error) throw new Error(`leaderboard_posts query failed: ${error.message}`);
+  return data;
+}
+
+// Move the row on to the current period. When the stored one has closed, the
+// update is conditional on it so only one pass ever posts its final standings.
+async function advancePost(server_id, tok, row, patch) {
+  if (!row) {
+    const { error } = await supabase.from('leaderboard_posts').insert({ server_id, contract_address: tok.contract_address, ...patch });
+    if (error) throw new Error(`leaderboard_posts insert failed: ${error.message}`);
+    return true;
+  }
+  const { data, error } = await supabase
+    .from('leaderboard_posts')
+    .update(patch)
+    .eq('server_id', server_id)
+    .eq('contract_address', tok.contract_address)
+    .eq('period_start', row.period_start)
+    .select('server_id');
+  if (error) throw new Error(`leaderboard_posts update failed: ${error.message}`);
+  return (data || []).length > 0;
+}
+
+async function pinnedLiveMessage(channel, row) {
+  if (!row?.message_id || row.channel_id !== channel.id) return null;
+  return channel.messages.fetch(row.message_id).catch(() => null);
+}
+
+async function postToken({ server_id, channel, tok, schedule, settings, now }) {
+  const bounds = periodBounds(schedule, now, settings);
+  const row = await loadPost(server_id, tok.contract_address);
+  const nowISO = now.toISOString();
+
+  if (row && new Date(row.period_end) <= now) {
+    const closed = { schedule: row.schedule, start: new Date(row.period_start), end: new Date(row.period_end) };
+    const claimed = await advancePost(server_id, tok, row, {
+      schedule, period_start: bounds.start.toISOString(), period_end: bounds.end.toISOString(), updated_at: nowISO,
+    });
+    if (!claimed) return;
+    const range = { start: closed.start, end: closed.end };
+    const board = await leaderboard(server_id, tok, { range });
+    if (board.error) throw new Error(`final standings for ${tok.token_name}: ${board.error}`);
+    if (board.list.length) {
+      const title = `🏁 ${tok.token_name} — final standings, ${periodName(closed.schedule, range.start, settings)}`;
+      await channel.send({ embeds: [await standingsEmbed(tok, board.list, { ...range, title, final: true })], allowedMentions: { parse: [] } });
+    }
+  } else if (!row || row.schedule !== schedule) {
+    // A new post, or a schedule change: start tracking the current period as is.
+    // The period cut short by a change gets no final standings.
+    await advancePost(server_id, tok, row, {
+      channel_id: channel.id, schedule, period_start: bounds.start.toISOString(), period_end: bounds.end.toISOString(), updated_at: nowISO,
+    });
+  }
+
+  const board = await leaderboard(server_id, tok, { range: bounds });
+  if (board.error) throw new Error(`live standings for ${tok.token_name}: ${board.error}`);
+  const embed = await standingsEmbed(tok, board.list, {
+    ...bounds, title: `🏆 ${tok.token_name} — ${LIVE_TITLE[schedule]}`, final: false,
+  });
+
+  let message = await pinnedLiveMessage(channel, row);
+  if (message) {
+    await message.edit({ embeds: [embed], allowedMentions: { parse: [] } });
+  } else {
+    message = await channel.send({ embeds: [embed], allowedMentions: { parse: [] } });
+    // Pinning needs Manage Messages; the message still gets edited without it.
+    await message.pin().catch((e) => console.error(`[leaderboard-posts] ${server_id}: can't pin: ${e?.message || e}`));
+  }
+
+  const { error } = await supabase
+    .from('leaderboard_posts')
+    .update({ channel_id: channel.id, message_id: message.id, schedule, updated_at: nowISO })
+    .eq('server_id', server_id)
+    .eq('contract_address', tok.contract_address);
+  if (error) console.error(`[leaderboard-posts] record failed: ${error.message}`);
+}
+
+async function postLeaderboards() {
+  const now = new Date();
+  for (const guild of client.guilds.cache.values()) {
+    const settings = await loadServerSettings(supabase, guild.id);
+    const schedule = leaderboardSchedule(settings);
+    if (schedule === 'off') continue;
+    const channel = findTextChannel(guild, settings.leaderboard_channel_id, LEADERBOARD_CHANNEL_NAME);
+    if (!channel) continue;
+
+    const [{ data: st, error: stErr }, { data: cfgs, error: cfgErr }] = await Promise.all([
+      supabase.from('server_tokens').select('contract_address, enabled').eq('server_id', guild.id),
+      supabase.from('wheel_configurations').select('contract_address, token_name, decimals').eq('server_id', guild.id),
+    ]);
+    if (stErr || cfgErr) {
+      console.error(`[leaderboard-posts] ${guild.id}: ${(stErr || cfgErr).message}`);
+      continue;
+    }
+    // Servers set up before server_tokens existed have only wheel configurations.
+    const enabled = new Set((st || []).filter((t) => t.enabled !== false).map((t) => t.contract_address));
+    const tokens = (cfgs || [])
+      .filter((c) => !st?.length || enabled.has(c.contract_address))
+      .map((c) => ({ contract_address: c.contract_address, token_name: c.token_name, decimals: c.decimals || 0 }));
+
+    for (const tok of tokens) {
+      try {
+        await postToken({ server_id: guild.id, channel, tok, schedule, settings, now });
+      } catch (e) {
+        console.error(`[leaderboard-posts] ${guild.id}/${tok.contract_address}: ${e?.message || e}`);
+      }
+    }
+  }
+}
+
+export { postLeaderboards };
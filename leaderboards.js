@@ -1,5 +1,9 @@
-import { client, supabase, retryQuery } from './index.js';
+import { ActionRowBuilder, ButtonBuilder, ButtonStyle, EmbedBuilder } from 'discord.js';
+import { supabase, retryQuery } from './index.js';
 import { selectAllRows } from './lib/fetchAll.js';
+import { loadServerSettings } from './lib/serverSettings.js';
+import { monthBounds } from './lib/spinDay.js';
+import { displayNames } from './lib/discordUsers.js';
 
 function normalize(s) {
   return String(s || '').trim().toLowerCase();
@@ -49,37 +53,54 @@ async function resolveTokenForServer(server_id, token_name) {
   return { contract_address: first.contract_address, token_name: first.token_name, decimals: first.decimals || 0 };
 }
 
-async function handleLeaderboardCommand(interaction) {
-  try {
-    await interaction.deferReply({ flags: 64 });
-  } catch (error) {
-    console.error(`Defer reply failed: ${error.message}`);
-    return;
+export const LEADERBOARD_PERIODS = {
+  '24h': 'Last 24 hours',
+  '7d': 'Last 7 days',
+  '30d': 'Last 30 days',
+  month: 'This month',
+  all: 'All time',
+};
+export const LEADERBOARD_SORTS = ['payout', 'spins'];
+const PAGE_SIZE = 10;
+const MAX_RANKS = 100;
+
+// Where a period starts; null for all-time. "This month" follows the server's
+// reset clock (lib/spinDay.js), like the monthly payout cap.
+async function periodStart(server_id, period) {
+  if (period === '24h') return daysAgoISO(1);
+  if (period === '7d') return daysAgoISO(7);
+  if (period === 'month') {
+    const settings = await loadServerSettings(supabase, server_id);
+    return monthBounds(new Date(), settings).start.toISOString();
   }
+  if (period === 'all') return null;
+  return daysAgoISO(30);
+}
 
-  const server_id = interaction.guildId;
-  const token_name = interaction.options.getString('token_name');
-
-  const tok = await resolveTokenForServer(server_id, token_name);
-  if (tok.error) return interaction.editReply({ content: `❌ ${tok.error}`, flags: 64 });
-
-  const startISO = daysAgoISO(30);
+/**
+ * Everyone's spins and winnings for one token over `period`, or over an explicit
+ * `range` ({ start, end } Dates, end exclusive) instead, ranked by `sort`
+ * ('payout' or 'spins'). Returns { list: [{ discord_id, spins, payout }] } or { error }.
+ */
+async function leaderboard(server_id, tok, { period = '30d', sort = 'payout', range = null } = {}) {
+  const startISO = range ? range.start.toISOString() : await periodStart(server_id, period);
 
   // Paged: a plain .select() stops at Supabase's 1000-row cap.
   const { data: rows, error } = await retryQuery(() =>
-    selectAllRows(() =>
-      supabase
+    selectAllRows(() => {
+      let q = supabase
         .from('daily_spins')
         .select('discord_id, payout_amount_raw, created_at')
         .eq('server_id', server_id)
-        .eq('contract_address', tok.contract_address)
-        .gte('created_at', startISO)
+        .eq('contract_address', tok.contract_address);
+      if (startISO) q = q.gte('created_at', startISO);
+      if (range) q = q.lt('created_at', range.end.toISOString());
+      return q
         .order('created_at', { ascending: true })
-        .order('discord_id', { ascending: true })
-    )
+        .order('discord_id', { ascending: true });
+    })
   );
-
-  if (error) return interaction.editReply({ content: '❌ Failed to fetch leaderboard data.', flags: 64 });
+  if (error) return { error: error.message };
 
   // Aggregate
   const map = new Map();
@@ -92,7 +113,7 @@ async function handleLeaderboardCommand(interaction) {
     map.set(id, obj);
   }
 
-  let list = Array.from(map.values()).map(v => ({
+  const list = Array.from(map.values()).map(v => ({
     discord_id: v.discord_id,
     spins: v.spins,
     payout: Number(v.payoutBase) / (10 ** (tok.decimals || 0))
@@ -100,24 +121,122 @@ async function handleLeaderboardCommand(interaction) {
 
   // Tie-break so equal payouts don't order arbitrarily (Array.sort is only stable
   // over the input order, which came from a Map and could shift between calls).
-  list.sort((a, b) => (b.payout - a.payout) || (b.spins - a.spins) || String(a.discord_id).localeCompare(String(b.discord_id)));
-  list = list.slice(0, 10);
+  const byId = (a, b) => String(a.discord_id).localeCompare(String(b.discord_id));
+  list.sort(sort === 'spins'
+    ? (a, b) => (b.spins - a.spins) || (b.payout - a.payout) || byId(a, b)
+    : (a, b) => (b.payout - a.payout) || (b.spins - a.spins) || byId(a, b));
+  return { list };
+}
 
-  if (!list.length) {
-    return interaction.editReply({ content: `No spins recorded for ${tok.token_name} in the last 30 days.`, flags: 64 });
+// Button ids carry the whole view, so paging needs no state on our side:
+// lb:<contract_address>:<period>:<sort>:<page>
+function pageButtons(tok, period, sort, page, pages) {
+  const id = (p) => `lb:${tok.contract_address}:${period}:${sort}:${p}`;
+  return new ActionRowBuilder().addComponents(
+    new ButtonBuilder().setCustomId(id(page - 1)).setLabel('◀ Prev').setStyle(ButtonStyle.Secondary).setDisabled(page <= 0),
+    new ButtonBuilder().setCustomId(id(page + 1)).setLabel('Next ▶').setStyle(ButtonStyle.Secondary).setDisabled(page >= pages - 1),
+  );
+}
+
+function spinsText(n) {
+  return `${n} ${n === 1 ? 'spin' : 'spins'}`;
+}
+
+// One line per entry, ranked from `offset` + 1. Names come from discord_users,
+// kept current by the bot (discordProfiles.js); anyone not in it yet shows as a
+// mention, which Discord renders as their name without pinging in an embed.
+async function rankLines(tok, entries, offset = 0, viewer_id = null) {
+  let names = new Map();
+  try {
+    names = await displayNames(supabase, entries.map(e => e.discord_id));
+  } catch (error) {
+    console.error(`Leaderboard names error: ${error.message}`);
   }
+  return entries.map((e, i) => {
+    const me = e.discord_id === viewer_id ? ' ⬅' : '';
+    const name = names.get(String(e.discord_id)) || `<@${e.discord_id}>`;
+    return `**#${offset + i + 1}** ${name} — ${e.payout} ${tok.token_name} · ${spinsText(e.spins)}${me}`;
+  });
+}
 
-  // Fetch Discord usernames
-  const fetched = await Promise.all(
-    list.map(x => client.users.fetch(x.discord_id).then(u => ({ id: x.discord_id, tag: u.tag })).catch(() => ({ id: x.discord_id, tag: `<@${x.discord_id}>` })))
-  );
-  const nameMap = new Map(fetched.map(x => [x.id, x.tag]));
+async function renderLeaderboard({ server_id, tok, period, sort, page, viewer_id }) {
+  const board = await leaderboard(server_id, tok, { period, sort });
+  if (board.error) return { content: '❌ Failed to fetch leaderboard data.', embeds: [], components: [] };
 
-  const text =
-    `**${tok.token_name} Leaderboard (30d)**\n` +
-    list.map((e, i) => `#${i + 1}: ${nameMap.get(e.discord_id)} — ${e.payout} ${tok.token_name} (${e.spins} ${e.spins === 1 ? 'spin' : 'spins'})`).join('\n');
+  const top = board.list.slice(0, MAX_RANKS);
+  if (!top.length) {
+    return { content: `No spins recorded for ${tok.token_name} (${LEADERBOARD_PERIODS[period].toLowerCase()}).`, embeds: [], components: [] };
+  }
+
+  const pages = Math.ceil(top.length / PAGE_SIZE);
+  page = Math.max(0, Math.min(pages - 1, page));
+  const slice = top.slice(page * PAGE_SIZE, (page + 1) * PAGE_SIZE);
+
+  const lines = await rankLines(tok, slice, page * PAGE_SIZE, viewer_id);
+
+  // The caller's own standing, counted over the whole board, not just the top 100.
+  const mine = board.list.findIndex(e => e.discord_id === viewer_id);
+  const you = mine >= 0
+    ? `You: #${mine + 1} of ${board.list.length} · ${board.list[mine].payout} ${tok.token_name} · ${spinsText(board.list[mine].spins)}`
+    : `You haven't spun ${tok.token_name} in this period`;
+
+  const embed = new EmbedBuilder()
+    .setTitle(`${tok.token_name} Leaderboard — ${LEADERBOARD_PERIODS[period]}`)
+    .setDescription(lines.join('\n'))
+    .setColor(0xf0c44a)
+    .setFooter({ text: `${you}\nBy ${sort === 'spins' ? 'spins' : 'payout'} · page ${page + 1}/${pages}` });
+
+  return { content: '', embeds: [embed], components: pages > 1 ? [pageButtons(tok, period, sort, page, pages)] : [] };
+}
+
+async function handleLeaderboardCommand(interaction) {
+  try {
+    await interaction.deferReply({ flags: 64 });
+  } catch (error) {
+    console.error(`Defer reply failed: ${error.message}`);
+    return;
+  }
+
+  const server_id = interaction.guildId;
+  const token_name = interaction.options.getString('token_name');
+  const period = interaction.options.getString('period') || '30d';
+  const sort = interaction.options.getString('sort') || 'payout';
+
+  const tok = await resolveTokenForServer(server_id, token_name);
+  if (tok.error) return interaction.editReply({ content: `❌ ${tok.error}`, flags: 64 });
+
+  const view = await renderLeaderboard({ server_id, tok, period, sort, page: 0, viewer_id: interaction.user.id });
+  return interaction.editReply({ ...view, flags: 64 });
+}
+
+// Prev/Next on a leaderboard (custom id from pageButtons()).
+async function handleLeaderboardButton(interaction) {
+  const [, contract_address, period, sort, pageRaw] = interaction.customId.split(':');
+  const server_id = interaction.guildId;
+  if (!LEADERBOARD_PERIODS[period] || !LEADERBOARD_SORTS.includes(sort)) {
+    return interaction.reply({ content: '❌ This leaderboard is out of date. Run /leaders again.', flags: 64 });
+  }
+
+  try {
+    await interaction.deferUpdate();
+  } catch (error) {
+    console.error(`Defer update failed: ${error.message}`);
+    return;
+  }
+
+  const { data: cfg } = await retryQuery(() =>
+    supabase
+      .from('wheel_configurations')
+      .select('contract_address, token_name, decimals')
+      .eq('server_id', server_id)
+      .eq('contract_address', contract_address)
+      .maybeSingle()
+  );
+  if (!cfg) return interaction.editReply({ content: '❌ That token is no longer configured here.', embeds: [], components: [] });
 
-  return interaction.editReply({ content: text, flags: 64 });
+  const tok = { contract_address, token_name: cfg.token_name, decimals: cfg.decimals || 0 };
+  const view = await renderLeaderboard({ server_id, tok, period, sort, page: Number(pageRaw) || 0, viewer_id: interaction.user.id });
+  return interaction.editReply(view);
 }
 
-export { handleLeaderboardCommand };
+export { handleLeaderboardCommand, handleLeaderboardButton, leaderboard, rankLines, resolveTokenForServer };
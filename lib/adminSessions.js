@@ -0,0 +1,119 @@
+// /lib/adminSessions.js
+// Admin panel sessions. The panel used to be opened with a spin link, so anyone an
+// admin pasted a link to got the panel too, and every admin API had to treat spin
+// tokens as bearer credentials. Now `/spinadmin panel` issues a session that only
+// works for the admin APIs, only on the server it was issued for, and only until
+// it expires or is logged out (api/admin/logout.js).
+//
+// A session reads `as1.<id>.<expiry>.<sig>`. The signature covers the id, server
+// and expiry under its own key, so a spin token (or a session for another server)
+// never verifies as one. The row in admin_sessions is what logout revokes.
+//
+// As with spin links, the API can't see Discord roles: the level a member's mapped
+// roles gave them is stored on the session (admin_role), while a direct grant is
+// re-read on every request so /spinadmin remove takes effect at once.
+//
+// Table (run once):
+//   CREATE TABLE admin_sessions (
+//     id uuid PRIMARY KEY,
+//     server_id text NOT NULL,
+//     discord_id text NOT NULL,
+//     admin_role text,
+//     created_at timestamptz DEFAULT now(),
+//     expires_at timestamptz NOT NULL,
+//     revoked_at timestamptz
+//   );
+import { createHmac, randomUUID, timingSafeEqual } from 'crypto';
+
+const PREFIX = 'as1';
+
+const TTL_MINUTES = Number(process.env.ADMIN_SESSION_TTL_MINUTES);
+export const ADMIN_SESSION_TTL_MS = (Number.isFinite(TTL_MINUTES) && TTL_MINUTES > 0 ? TTL_MINUTES : 60) * 60 * 1000;
+
+// ADMIN_SESSION_KEY when set; otherwise one derived from SPIN_KEY, so deployments
+// don't need a second secret but the two signatures still can't stand in for each other.
+function sessionKey() {
+  if (process.env.ADMIN_SESSION_KEY) return process.env.ADMIN_SESSION_KEY;
+  if (process.env.SPIN_KEY) return createHmac('sha256', process.env.SPIN_KEY).update('admin-session').digest('hex');
+  return null;
+}
+
+function sign(key, id, server_id, exp) {
+  return createHmac('sha256', key).update(`${id}.${server_id}.${exp}`).digest('hex');
+}
+
+/** Split a session token into its parts, or null if it isn't shaped like one. */
+function parseSession(session) {
+  const [prefix, id, exp, sig] = String(session || '').split('.');
+  if (prefix !== PREFIX || !id || !/^\d+$/.test(exp || '') || !sig) return null;
+  return { id, exp: Number(exp), sig };
+}
+
+function signatureOk(key, parts, server_id) {
+  const a = Buffer.from(parts.sig);
+  const b = Buffer.from(sign(key, parts.id, String(server_id), parts.exp));
+  return a.length === b.length && timingSafeEqual(a, b);
+}
+
+/** Issue a session. Returns { session, expires_at }. */
+export async function createAdminSession(supabase, { server_id, discord_id, admin_role = null }, now = new Date()) {
+  const key = sessionKey();
+  if (!key) throw new Error('ADMIN_SESSION_KEY or SPIN_KEY must be set');
+  const id = randomUUID();
+  const exp = Math.floor((now.getTime() + ADMIN_SESSION_TTL_MS) / 1000);
+  const expires_at = new Date(exp * 1000).toISOString();
+
+  const { error } = await supabase
+    .from('admin_sessions')
+    .insert({ id, server_id, discord_id, admin_role, created_at: now.toISOString(), expires_at });
+  if (error) throw new Error(error.message);
+
+  return { session: `${PREFIX}.${id}.${exp}.${sign(key, id, server_id, exp)}`, expires_at };
+}
+
+/**
+ * Check a session for `server_id`: signature, expiry, and that it hasn't been
+ * revoked. Returns { ok, discord_id, admin_role } or { ok:false, status, error }.
+ */
+export async function verifyAdminSession(supabase, session, server_id, now = new Date()) {
+  const key = sessionKey();
+  if (!key) return { ok: false, status: 500, error: 'Server configuration error' };
+
+  const parts = parseSession(session);
+  if (!parts) return { ok: false, status: 401, error: 'Admin session required — run /spinadmin panel in Discord' };
+
+  if (!signatureOk(key, parts, server_id)) return { ok: false, status: 403, error: 'Invalid session for this server' };
+  if (parts.exp * 1000 <= now.getTime()) return { ok: false, status: 401, error: 'Session expired' };
+
+  const { data: row, error } = await supabase
+    .from('admin_sessions')
+    .select('server_id, discord_id, admin_role, revoked_at')
+    .eq('id', parts.id)
+    .maybeSingle();
+  if (error) return { ok: false, status: 500, error: 'Session lookup failed' };
+  if (!row || String(row.server_id) !== String(server_id)) return { ok: false, status: 401, error: 'Invalid session' };
+  if (row.revoked_at) return { ok: false, status: 401, error: 'Session ended' };
+
+  return { ok: true, discord_id: row.discord_id, admin_role: row.admin_role };
+}
+
+/**
+ * End a session. Needs a validly signed session, not a live one: logging out an
+ * expired session is a harmless no-op. Returns { ok } or { ok:false, status, error }.
+ */
+export async function revokeAdminSession(supabase, session, server_id) {
+  const key = sessionKey();
+  if (!key) return { ok: false, status: 500, error: 'Server configuration error' };
+
+  const parts = parseSession(session);
+  if (!parts) return { ok: false, status: 400, error: 'Session required' };
+  if (!signatureOk(key, parts, server_id)) return { ok: false, status: 403, error: 'Invalid session' };
+
+  const { error } = await supabase
+    .from('admin_sessions')
+    .update({ revoked_at: new Date().toISOString() })
+    .eq('id', parts.id)
+    .is('revoked_at', null);
+  if (error) return { ok: false, status: 500, error: 'Logout failed' };
+  return { ok: true };
+}
@@ -0,0 +1,192 @@
+// /lib/admins.js
+// Who runs the bot in each server. server_admins holds members given a level
+// directly; admin_role_mappings gives a level to everyone holding a Discord role.
+// A member's level is the higher of the two. Both are managed with /spinadmin.
+//
+// The API can't see Discord roles, so /spin writes the level a member's roles give
+// them onto the link (spin_tokens.admin_role), as it does for role entitlements
+// (lib/roles.js), and api/spin.js reads it from there; /spinadmin panel does the
+// same on the admin session (lib/adminSessions.js) for requireAdmin(). A role taken
+// away therefore stops counting once that member's open links and sessions expire;
+// a direct grant is never copied there and is always read live from server_admins.
+//
+// Every grant, revoke and mapping change lands in admin_audit with who did it.
+//
+// Tables and column (run once):
+//   CREATE TABLE admin_role_mappings (
+//     server_id text NOT NULL,
+//     role_id text NOT NULL,
+//     level text NOT NULL CHECK (level IN ('admin', 'superadmin')),
+//     created_by text,
+//     created_at timestamptz DEFAULT now(),
+//     PRIMARY KEY (server_id, role_id)
+//   );
+//   CREATE TABLE admin_audit (
+//     id bigserial PRIMARY KEY,
+//     server_id text NOT NULL,
+//     actor_id text NOT NULL,
+//     action text NOT NULL,          -- 'grant' | 'revoke' | 'map_role' | 'unmap_role'
+//     target_type text NOT NULL,     -- 'member' | 'role'
+//     target_id text NOT NULL,
+//     old_level text,
+//     new_level text,
+//     created_at timestamptz DEFAULT now()
+//   );
+//   ALTER TABLE spin_tokens ADD COLUMN admin_role text;
+
+export const ADMIN_LEVELS = ['admin', 'superadmin'];
+
+/** The higher of two levels (either may be null); null when neither is an admin level. */
+export function higherLevel(a, b) {
+  const rank = (l) => ADMIN_LEVELS.indexOf(l);
+  const best = rank(a) >= rank(b) ? a : b;
+  return ADMIN_LEVELS.includes(best) ? best : null;
+}
+
+export async function loadAdminMappings(supabase, server_id) {
+  const { data, error } = await supabase
+    .from('admin_role_mappings')
+    .select('role_id, level')
+    .eq('server_id', server_id);
+  if (error) throw new Error(error.message);
+  return data || [];
+}
+
+export function levelFromRoles(mappings, roleIds) {
+  const held = new Set(roleIds);
+  return mappings.filter((m) => held.has(m.role_id)).reduce((best, m) => higherLevel(best, m.level), null);
+}
+
+async function directLevel(supabase, server_id, discord_id) {
+  const { data, error } = await supabase
+    .from('server_admins')
+    .select('role')
+    .eq('server_id', server_id)
+    .eq('discord_id', discord_id)
+    .maybeSingle();
+  if (error) throw new Error(error.message);
+  return higherLevel(data?.role, null);
+}
+
+/** { level, direct, from_roles } for a member holding `roleIds`. */
+export async function adminLevel(supabase, server_id, discord_id, roleIds = []) {
+  const [direct, mappings] = await Promise.all([
+    directLevel(supabase, server_id, discord_id),
+    roleIds.length ? loadAdminMappings(supabase, server_id) : [],
+  ]);
+  const from_roles = levelFromRoles(mappings, roleIds);
+  return { level: higherLevel(direct, from_roles), direct, from_roles };
+}
+
+// Members who would still be superadmin directly without `member`. Mapped roles
+// don't count: a role can be held by nobody, so only a direct grant guarantees
+// someone is left who can run /spinadmin.
+async function superadminsLeft(supabase, server_id, { member = null } = {}) {
+  const { data, error } = await supabase
+    .from('server_admins')
+    .select('discord_id')
+    .eq('server_id', server_id)
+    .eq('role', 'superadmin');
+  if (error) throw new Error(error.message);
+  return (data || []).filter((r) => String(r.discord_id) !== member).length;
+}
+
+const LAST_SUPERADMIN = 'This would leave the server without a superadmin. Make another member superadmin directly first.';
+
+/** Never throws: a failed audit write is logged, the change itself already happened. */
+export async function recordAdminChange(supabase, entry) {
+  try {
+    const { error } = await supabase.from('admin_audit').insert(entry);
+    if (error) console.error(`[admins] audit write failed: ${error.message}`);
+  } catch (e) {
+    console.error(`[admins] audit write failed: ${e?.message || e}`);
+  }
+}
+
+/**
+ * Give a member `level` directly, replacing any level they had.
+ * Returns { ok: true, old_level } or { ok: false, error }.
+ */
+export async function grantAdmin(supabase, { server_id, discord_id, level, actor_id }) {
+  if (!ADMIN_LEVELS.includes(level)) return { ok: false, error: `Level must be one of: ${ADMIN_LEVELS.join(', ')}.` };
+  const old_level = await directLevel(supabase, server_id, discord_id);
+  if (old_level === level) return { ok: true, old_level };
+  if (old_level === 'superadmin' && await superadminsLeft(supabase, server_id, { member: discord_id }) === 0) {
+    return { ok: false, error: LAST_SUPERADMIN };
+  }
+
+  const { error } = old_level
+    ? await supabase.from('server_admins').update({ role: level }).eq('server_id', server_id).eq('discord_id', discord_id)
+    : await supabase.from('server_admins').insert({ server_id, discord_id, role: level });
+  if (error) throw new Error(error.message);
+
+  await recordAdminChange(supabase, {
+    server_id, actor_id, action: 'grant', target_type: 'member', target_id: discord_id, old_level, new_level: level,
+  });
+  return { ok: true, old_level };
+}
+
+/** Returns { ok: true, old_level } or { ok: false, error }. */
+export async function revokeAdmin(supabase, { server_id, discord_id, actor_id }) {
+  const old_level = await directLevel(supabase, server_id, discord_id);
+  if (!old_level) return { ok: false, error: 'That member has no admin level of their own (a mapped role may still give them one).' };
+  if (old_level === 'superadmin' && await superadminsLeft(supabase, server_id, { member: discord_id }) === 0) {
+    return { ok: false, error: LAST_SUPERADMIN };
+  }
+
+  const { error } = await supabase.from('server_admins').delete().eq('server_id', server_id).eq('discord_id', discord_id);
+  if (error) throw new Error(error.message);
+
+  await recordAdminChange(supabase, {
+    server_id, actor_id, action: 'revoke', target_type: 'member', target_id: discord_id, old_level, new_level: null,
+  });
+  return { ok: true, old_level };
+}
+
+async function mappedLevel(supabase, server_id, role_id) {
+  const { data, error } = await supabase
+    .from('admin_role_mappings')
+    .select('level')
+    .eq('server_id', server_id)
+    .eq('role_id', role_id)
+    .maybeSingle();
+  if (error) throw new Error(error.message);
+  return data?.level || null;
+}
+
+/** Map a Discord role to `level`. Returns { ok: true, old_level } or { ok: false, error }. */
+export async function mapAdminRole(supabase, { server_id, role_id, level, actor_id }) {
+  if (!ADMIN_LEVELS.includes(level)) return { ok: false, error: `Level must be one of: ${ADMIN_LEVELS.join(', ')}.` };
+  const old_level = await mappedLevel(supabase, server_id, role_id);
+  if (old_level === level) return { ok: true, old_level };
+  if (old_level === 'superadmin' && await superadminsLeft(supabase, server_id) === 0) {
+    return { ok: false, error: LAST_SUPERADMIN };
+  }
+
+  const { error } = await supabase
+    .from('admin_role_mappings')
+    .upsert({ server_id, role_id, level, created_by: actor_id, created_at: new Date().toISOString() }, { onConflict: 'server_id,role_id' });
+  if (error) throw new Error(error.message);
+
+  await recordAdminChange(supabase, {
+    server_id, actor_id, action: 'map_role', target_type: 'role', target_id: role_id, old_level, new_level: level,
+  });
+  return { ok: true, old_level };
+}
+
+/** Returns { ok: true, old_level } or { ok: false, error }. */
+export async function unmapAdminRole(supabase, { server_id, role_id, actor_id }) {
+  const old_level = await mappedLevel(supabase, server_id, role_id);
+  if (!old_level) return { ok: false, error: 'That role is not mapped to an admin level.' };
+  if (old_level === 'superadmin' && await superadminsLeft(supabase, server_id) === 0) {
+    return { ok: false, error: LAST_SUPERADMIN };
+  }
+
+  const { error } = await supabase.from('admin_role_mappings').delete().eq('server_id', server_id).eq('role_id', role_id);
+  if (error) throw new Error(error.message);
+
+  await recordAdminChange(supabase, {
+    server_id, actor_id, action: 'unmap_role', target_type: 'role', target_id: role_id, old_level, new_level: null,
+  });
+  return { ok: true, old_level };
+}
@@ -0,0 +1,139 @@
+// /lib/allowance.js
+// How many spins a player gets, per server_tokens row. This used to be "1 per UTC
+// day" hard-coded in three places (the bot's /spin check, the page-load spins_left
+// and the daily_spins unique constraint) which had to be kept in sync by hand. The
+// bot, the page load and the spin flow now all ask this module.
+//
+// A policy is { limit, window, hours, clock }:
+//   window 'day'   → `limit` spins per spin day             (reset at the server's reset hour)
+//   window 'week'  → `limit` spins per week, Monday start   (reset Monday at the reset hour)
+//   window 'hours' → `limit` spins per rolling `hours` window, i.e. a cooldown
+// `clock` is the server's reset time zone + hour (lib/spinDay.js).
+//
+// Columns (run once): ALTER TABLE server_tokens ADD COLUMN spin_limit int DEFAULT 1,
+// ADD COLUMN spin_window text DEFAULT 'day', ADD COLUMN spin_window_hours int;
+// ALTER TABLE daily_spins ADD COLUMN spin_seq int; then swap the old unique index on
+// (server_id, discord_id, contract_address, spin_day) for one on
+// (server_id, discord_id, contract_address, spin_seq) — see claimSpinSlot().
+
+import { dayBounds, weekBounds, normalizeClock, spinDayFor } from './spinDay.js';
+
+const HOUR_MS = 3600 * 1000;
+
+export const SPIN_WINDOWS = ['day', 'week', 'hours'];
+
+export function allowancePolicy(row, settings) {
+  const limit = Math.floor(Number(row?.spin_limit));
+  const window = SPIN_WINDOWS.includes(row?.spin_window) ? row.spin_window : 'day';
+  const hours = Math.floor(Number(row?.spin_window_hours));
+  return {
+    limit: Number.isFinite(limit) && limit > 0 ? limit : 1,
+    // A rolling window with no length is meaningless; fall back to the daily rule.
+    window: window === 'hours' && !(hours > 0) ? 'day' : window,
+    hours: hours > 0 ? hours : null,
+    clock: normalizeClock(settings),
+  };
+}
+
+export function describeAllowance(policy) {
+  const n = `${policy.limit} ${policy.limit === 1 ? 'spin' : 'spins'}`;
+  if (policy.window === 'week') return `${n} per week`;
+  if (policy.window === 'hours') return `${n} every ${policy.hours} ${policy.hours === 1 ? 'hour' : 'hours'}`;
+  return `${n} per day`;
+}
+
+// Start of the window `now` falls in, and when that window ends. Rolling windows
+// have no fixed end; their reset depends on when the oldest counted spin ages out.
+export function windowBounds(policy, now = new Date()) {
+  if (policy.window === 'hours') {
+    return { start: new Date(now.getTime() - policy.hours * HOUR_MS), end: null };
+  }
+  const { start, end } = policy.window === 'week'
+    ? weekBounds(now, policy.clock)
+    : dayBounds(now, policy.clock);
+  return { start, end };
+}
+
+/**
+ * Where a player stands against `policy` right now.
+ * Returns { limit, used, spins_left, next_reset_at, resets_at } — next_reset_at is an
+ * ISO string for when another spin becomes available, or null if one is available
+ * already and nothing is counting down; resets_at is when a day/week window rolls
+ * over (null for rolling windows).
+ */
+export async function spinAllowance(supabase, { server_id, discord_id, contract_address }, policy, now = new Date()) {
+  const { start, end } = windowBounds(policy, now);
+  const { data, error } = await supabase
+    .from('daily_spins')
+    .select('created_at')
+    .eq('server_id', server_id)
+    .eq('discord_id', discord_id)
+    .eq('contract_address', contract_address)
+    .gte('created_at', start.toISOString())
+    .order('created_at', { ascending: true });
+  if (error) throw new Error(`allowance query failed: ${error.message}`);
+
+  const used = (data || []).length;
+  const spins_left = Math.max(0, policy.limit - used);
+
+  let next_reset_at = null;
+  if (end) {
+    next_reset_at = used ? end.toISOString() : null;
+  } else if (used) {
+    // Rolling: a slot frees up when the spin that used it leaves the window. With
+    // spins left that's the oldest one; when exhausted, the one that frees slot #1.
+    const idx = Math.max(0, used - policy.limit);
+    next_reset_at = new Date(new Date(data[idx].created_at).getTime() + policy.hours * HOUR_MS).toISOString();
+  }
+
+  return { limit: policy.limit, used, spins_left, next_reset_at, resets_at: end ? end.toISOString() : null };
+}
+
+/**
+ * Atomically record a spin against `policy`. Inserts the daily_spins placeholder
+ * with the next per-player sequence number (unique index → two concurrent inserts
+ * can't both take it), then counts the window again up to and including our own
+ * row. Whichever spin lands past the limit deletes its row and loses.
+ *
+ * Returns { id } on success, or { error: 'limit' | 'conflict' | <message> }.
+ */
+export async function claimSpinSlot(supabase, row, policy, now = new Date()) {
+  const key = { server_id: row.server_id, discord_id: row.discord_id, contract_address: row.contract_address };
+
+  const { data: last, error: lastErr } = await supabase
+    .from('daily_spins')
+    .select('spin_seq')
+    .match(key)
+    .not('spin_seq', 'is', null)
+    .order('spin_seq', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+  if (lastErr) return { error: lastErr.message };
+  const spin_seq = (Number(last?.spin_seq) || 0) + 1;
+
+  const { data: ins, error: insErr } = await supabase
+    .from('daily_spins')
+    // spin_day is stamped here, on the server's clock, rather than left to the
+    // column's UTC default — streaks and the chart group by it.
+    .insert([{ ...row, spin_seq, spin_day: spinDayFor(now, policy.clock) }])
+    .select('id')
+    .single();
+  if (insErr || !ins) {
+    // 23505 = unique_violation: another spin took this sequence number first.
+    return { error: insErr?.code === '23505' ? 'conflict' : (insErr?.message || 'insert failed') };
+  }
+
+  const { start } = windowBounds(policy, now);
+  const { count, error: cErr } = await supabase
+    .from('daily_spins')
+    .select('id', { count: 'exact', head: true })
+    .match(key)
+    .gte('created_at', start.toISOString())
+    .or(`spin_seq.lte.${spin_seq},spin_seq.is.null`);
+
+  if (cErr || (count ?? 0) > policy.limit) {
+    await supabase.from('daily_spins').delete().eq('id', ins.id);
+    return { error: cErr ? cErr.message : 'limit' };
+  }
+  return { id: ins.id };
+}
@@ -0,0 +1,72 @@
+// /lib/announce.js
+// Big-win announcements. /spin results are ephemeral, so the bot (bigWins.js)
+// watches the spins /api/spin and the reconciler record in daily_spins and posts
+// a public celebration in the server's spin channel for any paid spin at or above
+// the server's minimum tier. The tier is the one recorded with the payout, never
+// anything a page reports. Members can opt out per server with /spinprivacy.
+//
+// Columns and table (run once):
+//   ALTER TABLE server_settings ADD COLUMN announce_min_tier text,   -- a tier, or 'off'
+//   ADD COLUMN announce_template text;
+//   ALTER TABLE daily_spins ADD COLUMN announced_at timestamptz,     -- set once the bot has dealt with the spin
+//   ADD COLUMN announcement text,                                     -- 'posted' | 'skipped' | 'opted_out' | 'failed'
+//   ADD COLUMN settled_at timestamptz;                                -- when the payout was confirmed
+//   CREATE TABLE announce_optouts (
+//     server_id text NOT NULL,
+//     discord_id text NOT NULL,
+//     created_at timestamptz DEFAULT now(),
+//     PRIMARY KEY (server_id, discord_id)
+//   );
+import { TIERS } from './wheel.js';
+
+export const DEFAULT_MIN_TIER = 'epic';
+export const DEFAULT_TEMPLATE = '🎉 {user} just landed **{tier}** and won **{prize} {token}**! [View on Solscan](<{tx}>)';
+export const TEMPLATE_FIELDS = ['user', 'prize', 'token', 'tier', 'tx'];
+export const MAX_TEMPLATE_LENGTH = 500;
+// Tiers worth announcing at all; 'common' would be every spin.
+export const ANNOUNCE_TIERS = TIERS.slice(1);
+
+const SOLSCAN_TX = 'https://solscan.io/tx/';
+
+/** { min_tier, template } for a server; min_tier is null when announcements are off. */
+export function announcePolicy(settings) {
+  const t = settings?.announce_min_tier;
+  return {
+    min_tier: t === 'off' ? null : ANNOUNCE_TIERS.includes(t) ? t : DEFAULT_MIN_TIER,
+    template: settings?.announce_template || DEFAULT_TEMPLATE,
+  };
+}
+
+export function describeAnnounce(policy) {
+  if (!policy.min_tier) return 'off';
+  return `${policy.min_tier} and up${policy.template === DEFAULT_TEMPLATE ? '' : ', custom message'}`;
+}
+
+export function qualifies(tier, policy) {
+  return !!policy.min_tier && TIERS.indexOf(tier) >= TIERS.indexOf(policy.min_tier);
+}
+
+/** Returns { ok: true, template } or { ok: false, error } for an admin-typed template. */
+export function validateTemplate(text) {
+  const template = String(text || '').trim();
+  if (!template) return { ok: false, error: 'The message template is empty.' };
+  if (template.length > MAX_TEMPLATE_LENGTH) {
+    return { ok: false, error: `Keep the template under ${MAX_TEMPLATE_LENGTH} characters.` };
+  }
+  const unknown = [...template.matchAll(/\{(\w+)\}/g)].map((m) => m[1]).filter((f) => !TEMPLATE_FIELDS.includes(f));
+  if (unknown.length) {
+    return { ok: false, error: `Unknown placeholder {${unknown[0]}}. Use ${TEMPLATE_FIELDS.map((f) => `{${f}}`).join(', ')}.` };
+  }
+  return { ok: true, template };
+}
+
+export function renderAnnouncement(template, { discord_id, prize, token_name, tier, tx_signature }) {
+  const values = {
+    user: `<@${discord_id}>`,
+    prize: String(prize),
+    token: token_name,
+    tier,
+    tx: `${SOLSCAN_TX}${tx_signature}`,
+  };
+  return template.replace(/\{(\w+)\}/g, (m, f) => (f in values ? values[f] : m));
+}
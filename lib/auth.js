@@ -1,6 +1,8 @@
 // /lib/auth.js
-// Shared verification for one-time spin tokens and admin-only API endpoints.
+// Shared verification for one-time spin tokens and the admin panel's API endpoints.
 import { createHmac, timingSafeEqual } from 'crypto';
+import { higherLevel } from './admins.js';
+import { verifyAdminSession } from './adminSessions.js';
 
 /**
  * Verify the HMAC signature on a signed spin token (`<uuid>.<hex-sig>`).
@@ -21,37 +23,30 @@ export function verifySignedToken(signedToken) {
 
 /**
  * Gate an API request to server admins.
- *  - verifies the token signature (when SPIN_KEY is set),
- *  - confirms the token exists in spin_tokens (bearer credential),
- *  - confirms that token's owner is an admin/superadmin of this server.
+ *  - verifies the admin session from `/spinadmin panel` (lib/adminSessions.js):
+ *    signed for this server, not expired, not logged out. Spin tokens are not
+ *    accepted — a player's link is not an admin credential,
+ *  - confirms the session's owner is still an admin/superadmin of this server,
+ *    directly or through a mapped Discord role they held when it was issued.
  * Returns { ok, role, discord_id } or { ok:false, status, error }.
  */
-export async function requireAdmin(supabase, signedToken, server_id, { superadmin = false } = {}) {
-  if (!signedToken) return { ok: false, status: 400, error: 'Token required' };
+export async function requireAdmin(supabase, session, server_id, { superadmin = false } = {}) {
+  if (!session) return { ok: false, status: 400, error: 'Admin session required — run /spinadmin panel in Discord' };
   if (!server_id) return { ok: false, status: 400, error: 'server_id required' };
 
-  if (verifySignedToken(signedToken) === false) {
-    return { ok: false, status: 403, error: 'Invalid or forged token' };
-  }
-
-  const { data: tok, error: tErr } = await supabase
-    .from('spin_tokens')
-    .select('discord_id')
-    .eq('token', signedToken)
-    .maybeSingle();
-  if (tErr || !tok) return { ok: false, status: 400, error: 'Invalid token' };
+  const sess = await verifyAdminSession(supabase, session, server_id);
+  if (!sess.ok) return sess;
 
   const { data: admin } = await supabase
     .from('server_admins')
     .select('role')
-    .eq('discord_id', tok.discord_id)
+    .eq('discord_id', sess.discord_id)
     .eq('server_id', server_id)
     .maybeSingle();
 
-  const role = admin?.role || null;
-  const isAdmin = role === 'admin' || role === 'superadmin';
-  if (!isAdmin) return { ok: false, status: 403, error: 'Admins only' };
+  const role = higherLevel(admin?.role, sess.admin_role);
+  if (!role) return { ok: false, status: 403, error: 'Admins only' };
   if (superadmin && role !== 'superadmin') return { ok: false, status: 403, error: 'Superadmin required' };
 
-  return { ok: true, role, discord_id: tok.discord_id };
+  return { ok: true, role, discord_id: sess.discord_id };
 }
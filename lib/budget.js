@@ -0,0 +1,111 @@
+// /lib/budget.js
+// Payout budget caps per server_tokens row. The only spending guard used to be
+// "pool balance < prize", so a lucky streak or a wave of fresh accounts could empty
+// the funding wallet in an afternoon. A token can now cap what it pays out per day,
+// week and calendar month (on the server's clock, lib/spinDay.js), counted as what
+// left the pool: daily_spins.payout_amount_raw plus transfer_fee_raw, so a
+// Token-2022 transfer fee paid on top of a prize (gross_up) counts too.
+//
+// When a prize would break a cap, payout_cap_mode decides:
+//   'refuse' → the spin is refused and its slot released (nothing is used up);
+//   'redraw' → the prize is re-drawn from the slices that still fit, with their
+//              usual relative weights; if none fit, it is refused after all.
+//
+// Columns (run once): ALTER TABLE server_tokens ADD COLUMN payout_cap_daily numeric,
+// ADD COLUMN payout_cap_weekly numeric, ADD COLUMN payout_cap_monthly numeric,
+// ADD COLUMN payout_cap_mode text DEFAULT 'refuse';
+// ALTER TABLE daily_spins ADD COLUMN transfer_fee_raw numeric;
+// Caps are in display units (what an admin types, e.g. 5000 tokens); null = no cap.
+
+import { dayBounds, weekBounds, monthBounds, normalizeClock } from './spinDay.js';
+import { pickWeightedIndex, toBaseUnits } from './wheel.js';
+import { selectAllRows } from './fetchAll.js';
+
+export const CAP_WINDOWS = ['daily', 'weekly', 'monthly'];
+export const CAP_MODES = ['refuse', 'redraw'];
+
+const BOUNDS = { daily: dayBounds, weekly: weekBounds, monthly: monthBounds };
+
+// toBaseUnits() is exact but rejects exponent notation (1e-7, 1e+21), which a
+// number typed into Discord can arrive as. A cap doesn't need to be exact.
+function capToBaseUnits(cap, decimals) {
+  const n = toBaseUnits(cap, decimals);
+  return Number.isFinite(n) ? n : Math.floor(Number(cap) * 10 ** decimals);
+}
+
+export function budgetPolicy(row, settings) {
+  const caps = {};
+  for (const w of CAP_WINDOWS) {
+    const n = Number(row?.[`payout_cap_${w}`]);
+    caps[w] = row?.[`payout_cap_${w}`] != null && Number.isFinite(n) && n > 0 ? n : null;
+  }
+  return {
+    caps,
+    mode: CAP_MODES.includes(row?.payout_cap_mode) ? row.payout_cap_mode : 'refuse',
+    capped: CAP_WINDOWS.some((w) => caps[w] != null),
+    clock: normalizeClock(settings),
+  };
+}
+
+export function describeBudget(policy) {
+  if (!policy.capped) return 'no payout caps';
+  const parts = CAP_WINDOWS.filter((w) => policy.caps[w] != null)
+    .map((w) => `${policy.caps[w].toLocaleString('en-US')} ${w}`);
+  return `payout capped at ${parts.join(', ')} (${policy.mode === 'redraw' ? 're-draw' : 'refuse'} when exceeded)`;
+}
+
+/**
+ * How much more (in base units) a token may pay out right now under `policy`.
+ * Counts every daily_spins row for the token in the widest capped window — paid,
+ * in review, and in-flight spins that have already written their prize — except
+ * `exclude_id` (the caller's own row). Returns { headroom, limiting } where
+ * headroom is Infinity when nothing is capped, and limiting is the window that
+ * binds: { window, cap_raw, spent_raw, resets_at }.
+ */
+export async function budgetHeadroom(supabase, { server_id, contract_address }, policy, decimals, { exclude_id = null, now = new Date() } = {}) {
+  if (!policy.capped) return { headroom: Infinity, limiting: null };
+
+  const windows = CAP_WINDOWS.filter((w) => policy.caps[w] != null)
+    .map((w) => ({ window: w, ...BOUNDS[w](now, policy.clock), cap_raw: capToBaseUnits(policy.caps[w], decimals) }));
+  const earliest = new Date(Math.min(...windows.map((w) => w.start.getTime())));
+
+  const { data, error } = await selectAllRows(() => {
+    let q = supabase
+      .from('daily_spins')
+      .select('id, created_at, payout_amount_raw, transfer_fee_raw')
+      .eq('server_id', server_id)
+      .eq('contract_address', contract_address)
+      .gte('created_at', earliest.toISOString())
+      .order('id', { ascending: true });
+    if (exclude_id != null) q = q.neq('id', exclude_id);
+    return q;
+  });
+  if (error) throw new Error(`budget query failed: ${error.message}`);
+
+  let headroom = Infinity;
+  let limiting = null;
+  for (const w of windows) {
+    const from = w.start.getTime();
+    const spent_raw = data
+      .filter((r) => new Date(r.created_at).getTime() >= from)
+      .reduce((acc, r) => acc + (Number(r.payout_amount_raw) || 0) + (Number(r.transfer_fee_raw) || 0), 0);
+    const left = w.cap_raw - spent_raw;
+    if (left < headroom) {
+      headroom = left;
+      limiting = { window: w.window, cap_raw: w.cap_raw, spent_raw, resets_at: w.end.toISOString() };
+    }
+  }
+  return { headroom, limiting };
+}
+
+/**
+ * Re-draw among the slices whose prize fits in `headroom` base units, keeping
+ * their relative weights. Returns the index, or -1 if no drawable slice fits.
+ */
+export function redrawWithinBudget(amounts, weights, decimals, headroom, rand) {
+  const fitting = amounts
+    .map((a, i) => i)
+    .filter((i) => toBaseUnits(amounts[i], decimals) <= headroom && Math.floor(Number(weights[i])) > 0);
+  if (!fitting.length) return -1;
+  return fitting[pickWeightedIndex(fitting.map((i) => weights[i]), rand)];
+}
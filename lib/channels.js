@@ -0,0 +1,47 @@
+// /lib/channels.js
+// Where the bot listens and posts in each guild, and how /spin hands out links.
+// Servers pick channels by ID with /spinconfig channels, so renaming one no
+// longer breaks anything. A server that hasn't picked any keeps the channel-name
+// match the bot has always used (SPIN_CHANNEL_NAME / LEADERBOARD_CHANNEL_NAME in
+// index.js), so nothing changes for it until an admin sets them.
+//
+// Columns (run once): ALTER TABLE server_settings ADD COLUMN spin_channel_ids jsonb,
+// ADD COLUMN leaderboard_channel_id text, ADD COLUMN link_delivery text;
+
+export const MAX_SPIN_CHANNELS = 10;
+export const LINK_DELIVERY = ['ephemeral', 'dm'];
+
+export function spinChannelIds(settings) {
+  return Array.isArray(settings?.spin_channel_ids) ? settings.spin_channel_ids.map(String) : [];
+}
+
+function sameName(channel, name) {
+  return (channel?.name || '').toLowerCase() === String(name).toLowerCase();
+}
+
+/** Whether /spin may be used in `channel`. */
+export function isSpinChannel(settings, channel, defaultName) {
+  const ids = spinChannelIds(settings);
+  return ids.length ? ids.includes(channel?.id) : sameName(channel, defaultName);
+}
+
+/** "<#1> or <#2>" / "#🔄│free-spin", for telling members where to go. */
+export function describeSpinChannels(settings, defaultName) {
+  const ids = spinChannelIds(settings);
+  return ids.length ? ids.map((id) => `<#${id}>`).join(' or ') : `#${defaultName}`;
+}
+
+/**
+ * A text channel in `guild`: the configured `id` if set (null when it's gone),
+ * otherwise the first one named `defaultName`.
+ */
+export function findTextChannel(guild, id, defaultName) {
+  const channel = id
+    ? guild?.channels.cache.get(id)
+    : guild?.channels.cache.find((c) => sameName(c, defaultName));
+  return channel?.isTextBased?.() ? channel : null;
+}
+
+export function linkDelivery(settings) {
+  return LINK_DELIVERY.includes(settings?.link_delivery) ? settings.link_delivery : 'ephemeral';
+}
@@ -0,0 +1,64 @@
+// /lib/discordUsers.js
+// discord_users: the names leaderboards show instead of numeric IDs. The bot keeps
+// it current (discordProfiles.js): an upsert on every interaction, a scheduled
+// refresh of missing or stale profiles, and live updates when member events are
+// on. Readers — the bot's /leaders and the admin panel's APIs — go through
+// displayNames() here.
+//
+// Profiles are global, not per server, so the stored name is the member's own
+// display name, never a server nickname from one guild leaking into another's panel.
+//
+// Column (run once): ALTER TABLE discord_users ADD COLUMN updated_at timestamptz;
+
+// Upserts go in the request body; lookups put every ID in the URL, and 500
+// snowflakes there make a ~10 KB query string that gateways refuse (414).
+const UPSERT_CHUNK = 500;
+const LOOKUP_CHUNK = 100;
+
+/** The discord_users row for a discord.js User (or a raw API user object). */
+export function profileRow(user) {
+  const global_name = user.globalName ?? user.global_name ?? null;
+  const discriminator = user.discriminator && user.discriminator !== '0' ? user.discriminator : null;
+  return {
+    discord_id: String(user.id),
+    username: user.username ?? null,
+    global_name,
+    display_name: global_name || user.username || null,
+    discord_tag: discriminator ? `${user.username}#${discriminator}` : user.username ?? null,
+  };
+}
+
+export async function upsertDiscordUsers(supabase, rows) {
+  const byId = new Map(rows.map((r) => [r.discord_id, r]));
+  const list = [...byId.values()];
+  const updated_at = new Date().toISOString();
+  for (let i = 0; i < list.length; i += UPSERT_CHUNK) {
+    const { error } = await supabase
+      .from('discord_users')
+      .upsert(list.slice(i, i + UPSERT_CHUNK).map((r) => ({ ...r, updated_at })), { onConflict: 'discord_id' });
+    if (error) throw new Error(`discord_users upsert failed: ${error.message}`);
+  }
+  return list.length;
+}
+
+export function nameOf(u) {
+  return u?.display_name || u?.global_name || u?.username || null;
+}
+
+/** Map of discord_id → display name for those of `ids` the table knows. */
+export async function displayNames(supabase, ids) {
+  const wanted = [...new Set(ids.map(String).filter((id) => id && id !== 'unknown'))];
+  const names = new Map();
+  for (let i = 0; i < wanted.length; i += LOOKUP_CHUNK) {
+    const { data, error } = await supabase
+      .from('discord_users')
+      .select('discord_id, username, display_name, global_name')
+      .in('discord_id', wanted.slice(i, i + LOOKUP_CHUNK));
+    if (error) throw new Error(`discord_users query failed: ${error.message}`);
+    for (const u of data || []) {
+      const name = nameOf(u);
+      if (name) names.set(String(u.discord_id), name);
+    }
+  }
+  return names;
+}
@@ -0,0 +1,88 @@
+// /lib/fairness.js
+// Provably fair spins by commit–reveal. When /spin issues a link it also picks a
+// secret server seed and publishes only its SHA-256 (the commitment). The player's
+// page adds a client seed of its own when it spins. The prize is drawn with an RNG
+// keyed by both, so neither side alone can steer it: we committed to our seed
+// before seeing theirs, and they can't predict ours from its hash. The seed is
+// revealed in the /api/spin response, and /api/verify-spin re-runs the draw for
+// any paid spin from the stored seeds and the wheel as it was at the time.
+//
+// Columns (run once): ALTER TABLE spin_tokens ADD COLUMN server_seed text,
+// ADD COLUMN server_seed_hash text, ADD COLUMN client_seed text,
+// ADD COLUMN wheel_snapshot jsonb;
+//
+// The draw: HMAC-SHA256(key = server_seed, msg = `${client_seed}:${n}`) for
+// n = 0, 1, 2, …; the first 6 bytes of each MAC are a 48-bit integer, rejected and
+// redrawn when they fall in the biased tail so every outcome is exactly uniform.
+// The draws feed pickWeightedIndex(), then floorTier() when a streak guaranteed a
+// minimum tier, then redrawWithinBudget() when a payout cap forced a re-draw.
+import { createHash, createHmac, randomBytes } from 'crypto';
+import { pickWeightedIndex, tierForAmount, toBaseUnits } from './wheel.js';
+import { applyMultiplier } from './roles.js';
+import { redrawWithinBudget } from './budget.js';
+import { floorTier } from './streaks.js';
+
+const RANGE_48 = 2 ** 48;
+
+export function newServerSeed() {
+  return randomBytes(32).toString('hex');
+}
+
+export function hashSeed(seed) {
+  return createHash('sha256').update(String(seed)).digest('hex');
+}
+
+// Players may paste anything; keep what's safe to store and show back.
+export function normalizeClientSeed(seed) {
+  const s = String(seed ?? '').trim().slice(0, 64);
+  return /^[\x21-\x7e]+$/.test(s) ? s : null;
+}
+
+export function newClientSeed() {
+  return randomBytes(16).toString('hex');
+}
+
+/**
+ * A deterministic stand-in for crypto.randomInt([min,] max) driven by the two
+ * seeds. Each call consumes the next MAC(s) in the stream.
+ */
+export function seededRandomInt(serverSeed, clientSeed) {
+  let n = 0;
+  const next48 = () => {
+    const mac = createHmac('sha256', String(serverSeed)).update(`${clientSeed}:${n++}`).digest();
+    return mac.readUIntBE(0, 6);
+  };
+  return (min, max) => {
+    if (max === undefined) { max = min; min = 0; }
+    const range = max - min;
+    if (!Number.isSafeInteger(range) || range <= 0 || range > RANGE_48) {
+      throw new RangeError(`seededRandomInt: bad range ${min}..${max}`);
+    }
+    const limit = RANGE_48 - (RANGE_48 % range);
+    let x = next48();
+    while (x >= limit) x = next48();
+    return min + (x % range);
+  };
+}
+
+/**
+ * Re-run a spin's draw from its revealed seeds and the wheel_snapshot stored with
+ * it, exactly as /api/spin did. Returns { index, amount, amount_raw, tier }.
+ */
+export function replayDraw({ server_seed, client_seed, wheel_snapshot: w }) {
+  const rand = seededRandomInt(server_seed, client_seed);
+  let index = pickWeightedIndex(w.payout_weights, rand);
+  if (w.min_tier) index = floorTier(w.payout_amounts, w.payout_weights, index, w.min_tier, rand);
+  if (w.redraw_headroom != null) {
+    index = redrawWithinBudget(w.payout_amounts, w.payout_weights, w.decimals, w.redraw_headroom, rand);
+  }
+  // A role multiplier (lib/roles.js) scales the slice's prize; older snapshots have none.
+  const multiplier = Number(w.payout_multiplier) || 1;
+  const amount_raw = applyMultiplier(toBaseUnits(w.payout_amounts[index], w.decimals), multiplier);
+  return {
+    index,
+    amount: multiplier === 1 ? Number(w.payout_amounts[index]) : amount_raw / 10 ** w.decimals,
+    amount_raw,
+    tier: tierForAmount(w.payout_amounts[index], w.payout_amounts),
+  };
+}
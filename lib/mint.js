@@ -0,0 +1,46 @@
+// /lib/mint.js
+// The on-chain check run whenever a token is enabled for a server (/settoken and
+// both admin token APIs), and when the wheel editor changes the decimals of a
+// token that is already enabled (api/admin/wheel.js). server_tokens.decimals used to be copied from the wheel
+// config unchecked, and a wrong value pays 10^n times too much or too little, so
+// the mint is read first and enabling is refused if it disagrees with the config.
+//
+// What the admin gets back (the `mint` in every result) is what the chain says:
+// owning program, real decimals, supply, and the mint and freeze authorities.
+// An issuer holding a freeze authority can freeze any holder's account, winners'
+// included; that is allowed but surfaced as a warning.
+import { payoutBackend } from './payout/index.js';
+
+/**
+ * Returns { ok: true, mint, warnings } or { ok: false, status, error, mint? }.
+ * `status` is the HTTP status the admin APIs should answer with.
+ */
+export async function checkMint(contract_address, configDecimals, payout = payoutBackend()) {
+  let mint;
+  try {
+    mint = await payout.inspectMint(contract_address);
+  } catch (e) {
+    if (e?.code === 'MINT_NOT_FOUND') return { ok: false, status: 400, error: 'Mint account not found on-chain' };
+    if (e?.code === 'NOT_A_MINT') return { ok: false, status: 400, error: 'That address is not a token mint' };
+    console.error(`[mint] inspect ${contract_address} failed: ${e?.message || e}`);
+    return { ok: false, status: 502, error: 'Could not read the mint from the chain. Try again.' };
+  }
+
+  const warnings = [];
+  if (mint.decimals == null) {
+    warnings.push('decimals could not be verified (mock payout ledger)');
+  } else if (Number(configDecimals) !== mint.decimals) {
+    return {
+      ok: false,
+      status: 400,
+      error: `Wheel config says ${configDecimals} decimals but the mint has ${mint.decimals}. Fix the wheel config first.`,
+      mint,
+    };
+  }
+  if (mint.freeze_authority) warnings.push(`freeze authority ${mint.freeze_authority} can freeze holders' accounts`);
+  if (mint.mint_authority) warnings.push(`mint authority ${mint.mint_authority} can still mint new supply`);
+  if (mint.transfer_fee?.basis_points) {
+    warnings.push(`transfer fee of ${mint.transfer_fee.basis_points / 100}% applies (see fee_mode)`);
+  }
+  return { ok: true, mint, warnings };
+}
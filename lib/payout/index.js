@@ -0,0 +1,89 @@
+// /lib/payout/index.js
+// Where prizes come from. Everything that moves or inspects the funding wallet's
+// money — /api/spin, the reconcilers in lib/reconcile.js, the bot's pool alerts —
+// goes through a payout backend instead of talking to Solana directly:
+//
+//   name                                  'spl' | 'mock'
+//   canSend                               false when this process can only read
+//   fundingAddress()                      the pool's address (base58), or null
+//   solBalance()                          lamports the pool has for fees and rent
+//   tokenBalance(mint)                    raw units of `mint` the pool holds (0 if none)
+//   inspectMint(mint)                     → { program, decimals, supply, mint_authority,
+//                                           freeze_authority, transfer_fee }; throws code
+//                                           MINT_NOT_FOUND / NOT_A_MINT (see lib/mint.js)
+//   hasTokenAccount(owner, mint)          whether `owner` can receive `mint` as-is
+//   prepareTransfer({ mint, to, amountRaw, decimals, feeMode })
+//                                         → { sendRaw, receivedRaw, feeRaw, atasToCreate,
+//                                           lamportsNeeded, ... }; pass it to
+//                                           sendTransfer() unchanged. feeMode: see
+//                                           ./transferFee.js
+//   sendTransfer(prepared, { onSigned })  → signature. Errors carry code PREFLIGHT,
+//                                           ONCHAIN_FAIL or UNCONFIRMED exactly as
+//                                           documented in lib/solanaSend.js
+//   signatureStatuses(signatures)         → [{ confirmationStatus, err } | null]
+//   finalizedBlockHeight()
+//   receivedAmount(signature, mint, owner) raw units that reached `owner`, or null
+//   transfersSince(sinceMs)               → [{ signature, blockTime, owner, mint, amount }],
+//                                           newest first; null if history was too long
+//
+// PAYOUT_BACKEND=spl|mock picks one. Unset, it is always `spl` (mainnet's public
+// endpoint when SOLANA_RPC_URL is unset, as it always has been): the mock only ever
+// runs when asked for by name. Guessing from the environment could hand the bot
+// the mock while the API paid for real, and its reconcilers would then release
+// spins against an empty ledger that were actually paid.
+import { PublicKey, Keypair } from '@solana/web3.js';
+import { createSplBackend } from './spl.js';
+import { createMockBackend } from './mock.js';
+
+const MAINNET_RPC = 'https://api.mainnet-beta.solana.com';
+
+function isProduction(env) {
+  return env.NODE_ENV === 'production' || env.VERCEL_ENV === 'production' || env.RAILWAY_ENVIRONMENT_NAME === 'production';
+}
+
+// The funding wallet from whichever of its env vars this process has (the bot only
+// gets the public key; the spin API only the private key). Bad values are logged
+// and treated as unset.
+function fundingFromEnv(env) {
+  let payer = null;
+  let publicKey = null;
+  try {
+    if (env.FUNDING_WALLET_PRIVATE_KEY) {
+      payer = Keypair.fromSecretKey(Buffer.from(JSON.parse(env.FUNDING_WALLET_PRIVATE_KEY)));
+    }
+  } catch (e) {
+    console.error(`[payout] bad FUNDING_WALLET_PRIVATE_KEY: ${e?.message || e}`);
+  }
+  try {
+    if (env.FUNDING_WALLET_PUBLIC_KEY) publicKey = new PublicKey(env.FUNDING_WALLET_PUBLIC_KEY);
+  } catch (e) {
+    console.error(`[payout] bad FUNDING_WALLET_PUBLIC_KEY: ${e?.message || e}`);
+  }
+  return { payer, publicKey: payer?.publicKey || publicKey };
+}
+
+export function createPayoutBackend(env = process.env) {
+  const requested = String(env.PAYOUT_BACKEND || '').trim().toLowerCase();
+  const kind = requested || 'spl';
+
+  if (kind === 'mock') {
+    if (isProduction(env)) console.error('[payout] WARNING: mock payout backend in production — no real prizes are paid');
+    const { publicKey } = fundingFromEnv(env);
+    return createMockBackend({
+      fundingAddress: publicKey?.toBase58(),
+      outcome: String(env.MOCK_PAYOUT_OUTCOME || 'ok').trim().toLowerCase(),
+    });
+  }
+  if (kind !== 'spl') throw new Error(`Unknown PAYOUT_BACKEND "${requested}" (expected spl or mock)`);
+
+  const { payer, publicKey } = fundingFromEnv(env);
+  return createSplBackend({ rpcUrl: env.SOLANA_RPC_URL || MAINNET_RPC, payer, fundingPublicKey: publicKey });
+}
+
+// One per process: the RPC connection is reused, and the mock's ledger has to be
+// the same one for a spin and the reconciler that later settles it.
+let shared = null;
+export function payoutBackend() {
+  if (!shared) shared = createPayoutBackend();
+  return shared;
+}
@@ -0,0 +1,217 @@
+// /lib/payout/mock.js
+// An in-process stand-in for the chain, so the whole spin lifecycle (draw, pay,
+// review, reconcile, recover) runs in development and CI without an RPC or a
+// funded key. Balances, transactions and a block height that ticks with the clock
+// live in memory; nothing survives a restart, and two processes (the bot and the
+// spin API) each have their own ledger.
+//
+// The pool starts with MOCK_POOL_SOL SOL (default 10) and MOCK_POOL_TOKENS raw units
+// (default 1e15) of every mint it is asked about. MOCK_PAYOUT_OUTCOME picks what
+// sends do, so the failure paths can be exercised too:
+//   ok            the transfer lands (default)
+//   preflight     rejected before anything moved
+//   onchain_fail  landed, failed, nothing moved
+//   unconfirmed   landed, but the confirmation was lost — the spin goes to review
+//   dropped       never landed and never will — review, then released on expiry
+// mockLedger.setMint() describes a mint (decimals, authorities); any other mint
+// "exists" with unknown decimals. setTransferFee() gives one a Token-2022 style fee.
+import { randomBytes } from 'crypto';
+import { PublicKey } from '@solana/web3.js';
+import { base58Encode } from '../solanaSend.js';
+import { ATA_RENT, RENT_EXEMPT_FLOOR, lamportsNeeded } from '../pool.js';
+import { applyTransferFee } from './transferFee.js';
+
+export const MOCK_OUTCOMES = ['ok', 'preflight', 'onchain_fail', 'unconfirmed', 'dropped'];
+export const MOCK_FUNDING_ADDRESS = 'MockPayoutPoo1111111111111111111111111111111';
+
+const SLOT_MS = 400;
+const BLOCKHASH_LIFETIME = 150; // blocks, as on mainnet
+const TX_FEE = 5000;
+
+const envNumber = (name, fallback) => {
+  const n = Number(process.env[name]);
+  return Number.isFinite(n) && n >= 0 ? n : fallback;
+};
+
+const ledger = {
+  genesis: Date.now(),
+  lamports: null,
+  accounts: new Map(), // `${owner}|${mint}` → raw balance
+  txs: new Map(),      // signature → { signature, blockTime, owner, mint, amount, err }
+  fees: new Map(),     // mint → { transferFeeBasisPoints, maximumFee }
+  mints: new Map(),    // mint → partial inspectMint() result
+  queued: [],          // outcomes for the next sends, ahead of the configured one
+};
+
+const key = (owner, mint) => `${owner}|${mint}`;
+const blockHeight = () => Math.floor((Date.now() - ledger.genesis) / SLOT_MS);
+
+function sendError(code, message, extra = {}) {
+  const err = new Error(message);
+  err.code = code;
+  return Object.assign(err, extra);
+}
+
+/**
+ * Test hooks for scripts that drive the mock directly: queue the outcome of the
+ * next send(s), top up a balance, or start again from an empty ledger.
+ */
+export const mockLedger = {
+  queueOutcome(...outcomes) {
+    for (const o of outcomes) {
+      if (!MOCK_OUTCOMES.includes(o)) throw new Error(`unknown mock outcome: ${o}`);
+      ledger.queued.push(o);
+    }
+  },
+  credit(owner, mint, amountRaw) {
+    ledger.accounts.set(key(owner, mint), (ledger.accounts.get(key(owner, mint)) || 0) + amountRaw);
+  },
+  setMint(mint, info) {
+    ledger.mints.set(mint, info);
+  },
+  setTransferFee(mint, basisPoints, maximumFee) {
+    ledger.fees.set(mint, { epoch: 0n, transferFeeBasisPoints: basisPoints, maximumFee: BigInt(maximumFee) });
+  },
+  setLamports(lamports) {
+    ledger.lamports = lamports;
+  },
+  balance(owner, mint) {
+    return ledger.accounts.get(key(owner, mint)) ?? null;
+  },
+  transaction(signature) {
+    return ledger.txs.get(signature) || null;
+  },
+  reset() {
+    ledger.genesis = Date.now();
+    ledger.lamports = null;
+    ledger.accounts.clear();
+    ledger.txs.clear();
+    ledger.fees.clear();
+    ledger.mints.clear();
+    ledger.queued.length = 0;
+  },
+};
+
+export function createMockBackend({ fundingAddress = MOCK_FUNDING_ADDRESS, outcome = 'ok' } = {}) {
+  if (!MOCK_OUTCOMES.includes(outcome)) {
+    console.error(`[payout:mock] unknown MOCK_PAYOUT_OUTCOME "${outcome}"; using "ok"`);
+    outcome = 'ok';
+  }
+
+  const solBalance = async () => {
+    if (ledger.lamports == null) ledger.lamports = Math.round(envNumber('MOCK_POOL_SOL', 10) * 1e9);
+    return ledger.lamports;
+  };
+
+  const tokenBalance = async (mint) => {
+    const k = key(fundingAddress, mint);
+    if (!ledger.accounts.has(k)) ledger.accounts.set(k, envNumber('MOCK_POOL_TOKENS', 1e15));
+    return ledger.accounts.get(k);
+  };
+
+  const hasTokenAccount = async (owner, mint) => ledger.accounts.has(key(owner, mint));
+
+  async function inspectMint(mint) {
+    new PublicKey(mint);
+    const fee = ledger.fees.get(mint);
+    return {
+      address: mint,
+      program: fee ? 'token-2022' : 'spl-token',
+      decimals: null,
+      supply: null,
+      mint_authority: null,
+      freeze_authority: null,
+      transfer_fee: fee ? { basis_points: fee.transferFeeBasisPoints, maximum_fee: fee.maximumFee.toString() } : null,
+      ...ledger.mints.get(mint),
+    };
+  }
+
+  async function prepareTransfer({ mint, to, amountRaw, decimals = null, feeMode = 'gross_up' }) {
+    // Same address checks the SPL backend gets for free from PublicKey.
+    new PublicKey(mint);
+    new PublicKey(to);
+    const known = ledger.mints.get(mint)?.decimals;
+    if (decimals != null && known != null && known !== decimals) {
+      throw new Error(`wheel config uses ${decimals} decimals but mint ${mint} has ${known}`);
+    }
+    await tokenBalance(mint);
+    const atasToCreate = (await hasTokenAccount(to, mint)) ? 0 : 1;
+    const { sendRaw, receivedRaw, feeRaw } = applyTransferFee(ledger.fees.get(mint) || null, amountRaw, feeMode);
+    return { mint, to, amountRaw, sendRaw, receivedRaw, feeRaw, atasToCreate, lamportsNeeded: lamportsNeeded(atasToCreate) };
+  }
+
+  async function sendTransfer(prepared, { onSigned = null } = {}) {
+    const { mint, to, sendRaw, receivedRaw, atasToCreate } = prepared;
+    const signature = base58Encode(randomBytes(64));
+    const lastValidBlockHeight = blockHeight() + BLOCKHASH_LIFETIME;
+    const attempts = [{ signature, lastValidBlockHeight }];
+
+    if (onSigned) {
+      try {
+        await onSigned({ signature, lastValidBlockHeight, attempts: [...attempts] });
+      } catch (e) {
+        throw sendError('PREFLIGHT', `Not submitted: could not record signature: ${e?.message || e}`);
+      }
+    }
+
+    const result = ledger.queued.shift() || outcome;
+    const fee = TX_FEE + atasToCreate * ATA_RENT;
+    const pool = await tokenBalance(mint);
+    const lamports = await solBalance();
+    if (result === 'preflight') throw sendError('PREFLIGHT', 'Transfer rejected at preflight: mock outcome');
+    if (pool < sendRaw) throw sendError('PREFLIGHT', 'Transfer rejected at preflight: insufficient funds');
+    if (lamports - fee < RENT_EXEMPT_FLOOR) {
+      throw sendError('PREFLIGHT', 'Transfer rejected at preflight: insufficient funds for rent');
+    }
+
+    if (result === 'dropped') {
+      throw sendError('UNCONFIRMED', 'Transfer submitted but not yet confirmed', { signature, attempts });
+    }
+
+    const tx = { signature, blockTime: Math.floor(Date.now() / 1000), owner: to, mint, amount: receivedRaw, err: null };
+    ledger.lamports = lamports - TX_FEE;
+    if (result === 'onchain_fail') {
+      ledger.txs.set(signature, { ...tx, err: { InstructionError: [0, 'MockFailure'] } });
+      throw sendError('ONCHAIN_FAIL', 'Transaction failed on-chain: mock outcome');
+    }
+
+    ledger.lamports -= atasToCreate * ATA_RENT;
+    ledger.accounts.set(key(fundingAddress, mint), pool - sendRaw);
+    mockLedger.credit(to, mint, receivedRaw);
+    ledger.txs.set(signature, tx);
+
+    if (result === 'unconfirmed') {
+      throw sendError('UNCONFIRMED', 'Transfer submitted but not yet confirmed', { signature, attempts });
+    }
+    return signature;
+  }
+
+  return {
+    name: 'mock',
+    canSend: true,
+    fundingAddress: () => fundingAddress,
+    solBalance,
+    tokenBalance,
+    inspectMint,
+    hasTokenAccount,
+    prepareTransfer,
+    sendTransfer,
+    async signatureStatuses(signatures) {
+      return signatures.map((s) => {
+        const tx = ledger.txs.get(s);
+        return tx ? { confirmationStatus: 'finalized', err: tx.err } : null;
+      });
+    },
+    finalizedBlockHeight: async () => blockHeight(),
+    async receivedAmount(signature, mint, owner) {
+      const tx = ledger.txs.get(signature);
+      return tx && !tx.err && tx.mint === mint && tx.owner === owner ? tx.amount : null;
+    },
+    async transfersSince(sinceMs) {
+      return [...ledger.txs.values()]
+        .filter((t) => !t.err && t.blockTime * 1000 >= sinceMs)
+        .sort((a, b) => b.blockTime - a.blockTime)
+        .map(({ signature, blockTime, owner, mint, amount }) => ({ signature, blockTime, owner, mint, amount }));
+    },
+  };
+}
@@ -0,0 +1,229 @@
+// /lib/payout/spl.js
+// The real payout backend: SPL token transfers from the funding wallet over RPC.
+// This is the code that used to live inline in api/spin.js and lib/reconcile.js.
+//
+// Mints may belong to the legacy Token program or to Token-2022. The owning
+// program decides the token account addresses and which program the transfer goes
+// to, so it is read from the mint account itself rather than assumed; deriving
+// legacy addresses for a Token-2022 mint is what made those spins fail preflight.
+import { Connection, PublicKey } from '@solana/web3.js';
+import {
+  TOKEN_PROGRAM_ID,
+  TOKEN_2022_PROGRAM_ID,
+  getAssociatedTokenAddress,
+  createAssociatedTokenAccountInstruction,
+  createTransferCheckedInstruction,
+  unpackMint,
+  ExtensionType,
+  getExtensionTypes,
+  getAccountTypeOfMintType,
+  getAccountLen,
+  getTransferFeeConfig,
+  getEpochFee,
+} from '@solana/spl-token';
+import { sendTxWithFreshBlockhash } from '../solanaSend.js';
+import { ATA_RENT, lamportsNeeded } from '../pool.js';
+import { applyTransferFee } from './transferFee.js';
+
+/**
+ * `payer` is the funding Keypair (the spin API has it); `fundingPublicKey` is enough
+ * for the read-only side (the bot only has the public key). Without either, only
+ * methods that don't touch the funding wallet work.
+ */
+export function createSplBackend({ rpcUrl, payer = null, fundingPublicKey = null }) {
+  const connection = new Connection(rpcUrl, { commitment: 'confirmed' });
+  const funder = payer?.publicKey || fundingPublicKey;
+
+  const requireFunder = () => {
+    if (!funder) throw new Error('funding wallet public key not configured');
+    return funder;
+  };
+
+  // A mint's owning program never changes, so it's looked up once per process.
+  const programs = new Map();
+
+  async function loadMint(mint) {
+    const mintPk = new PublicKey(mint);
+    const info = await connection.getAccountInfo(mintPk);
+    if (!info) throw Object.assign(new Error(`mint ${mint} not found`), { code: 'MINT_NOT_FOUND' });
+    const programId = [TOKEN_PROGRAM_ID, TOKEN_2022_PROGRAM_ID].find((p) => p.equals(info.owner));
+    if (!programId) {
+      throw Object.assign(new Error(`${mint} is not a token mint (owner ${info.owner.toBase58()})`), { code: 'NOT_A_MINT' });
+    }
+    programs.set(mint, programId);
+    return { mintPk, programId, state: unpackMint(mintPk, info, programId) };
+  }
+
+  async function inspectMint(mint) {
+    const { programId, state } = await loadMint(mint);
+    const fee = getTransferFeeConfig(state)?.newerTransferFee;
+    return {
+      address: mint,
+      program: programId.equals(TOKEN_2022_PROGRAM_ID) ? 'token-2022' : 'spl-token',
+      decimals: state.decimals,
+      supply: state.supply.toString(),
+      mint_authority: state.mintAuthority?.toBase58() || null,
+      freeze_authority: state.freezeAuthority?.toBase58() || null,
+      transfer_fee: fee ? { basis_points: fee.transferFeeBasisPoints, maximum_fee: fee.maximumFee.toString() } : null,
+    };
+  }
+
+  async function programFor(mint) {
+    return programs.get(mint) || (await loadMint(mint)).programId;
+  }
+
+  const ataFor = async (mint, owner) =>
+    getAssociatedTokenAddress(new PublicKey(mint), new PublicKey(owner), false, await programFor(mint));
+
+  async function tokenBalance(mint) {
+    const ata = await ataFor(mint, requireFunder());
+    try {
+      const bal = await connection.getTokenAccountBalance(ata, 'confirmed');
+      return Number(bal?.value?.amount || 0) || 0;
+    } catch (e) {
+      // A missing account reads as "could not find account"; anything else is an RPC problem.
+      if (/could not find account|Invalid param/i.test(e?.message || '')) return 0;
+      throw e;
+    }
+  }
+
+  // `decimals` is what the wheel config was priced in. transferChecked makes the
+  // program enforce it, and a mismatch is caught here with a clearer message.
+  async function prepareTransfer({ mint, to, amountRaw, decimals = null, feeMode = 'gross_up' }) {
+    if (!payer) throw new Error('funding wallet private key not configured');
+    const { mintPk, programId, state } = await loadMint(mint);
+    if (decimals != null && state.decimals !== decimals) {
+      throw new Error(`wheel config uses ${decimals} decimals but mint ${mint} has ${state.decimals}`);
+    }
+    const userPk = new PublicKey(to);
+    const fromATA = await getAssociatedTokenAddress(mintPk, payer.publicKey, false, programId);
+    const toATA = await getAssociatedTokenAddress(mintPk, userPk, false, programId);
+
+    const feeConfig = getTransferFeeConfig(state);
+    const [fromInfo, toInfo, epochInfo, ataRent] = await Promise.all([
+      connection.getAccountInfo(fromATA),
+      connection.getAccountInfo(toATA),
+      feeConfig ? connection.getEpochInfo() : null,
+      // Token-2022 accounts carry the mint's account extensions (and the ATA
+      // program adds ImmutableOwner), so they're bigger and cost more rent.
+      programId.equals(TOKEN_PROGRAM_ID)
+        ? ATA_RENT
+        : connection.getMinimumBalanceForRentExemption(getAccountLen([
+          ...getExtensionTypes(state.tlvData).map(getAccountTypeOfMintType),
+          ExtensionType.ImmutableOwner,
+        ])),
+    ]);
+    const transferFee = feeConfig ? getEpochFee(feeConfig, BigInt(epochInfo.epoch)) : null;
+    const { sendRaw, receivedRaw, feeRaw } = applyTransferFee(transferFee, amountRaw, feeMode);
+
+    // Create whichever token accounts don't exist yet; the pool pays their rent.
+    const instructions = [];
+    if (!fromInfo) {
+      instructions.push(createAssociatedTokenAccountInstruction(payer.publicKey, fromATA, payer.publicKey, mintPk, programId));
+    }
+    if (!toInfo) {
+      instructions.push(createAssociatedTokenAccountInstruction(payer.publicKey, toATA, userPk, mintPk, programId));
+    }
+    instructions.push(createTransferCheckedInstruction(
+      fromATA, mintPk, toATA, payer.publicKey, sendRaw, state.decimals, [], programId
+    ));
+
+    const atasToCreate = (fromInfo ? 0 : 1) + (toInfo ? 0 : 1);
+    return {
+      mint, to, amountRaw, sendRaw, receivedRaw, feeRaw,
+      atasToCreate,
+      lamportsNeeded: lamportsNeeded(atasToCreate, ataRent),
+      instructions,
+      recentAccounts: [fromATA, toATA, mintPk, userPk.toBase58()],
+    };
+  }
+
+  async function sendTransfer(prepared, { onSigned = null } = {}) {
+    return sendTxWithFreshBlockhash({
+      connection,
+      payer,
+      instructions: prepared.instructions,
+      recentAccounts: prepared.recentAccounts,
+      maxRetries: 4,
+      commitment: 'confirmed',
+      onSigned,
+    });
+  }
+
+  async function signatureStatuses(signatures) {
+    const { value = [] } = await connection.getSignatureStatuses(signatures, { searchTransactionHistory: true });
+    return value;
+  }
+
+  // Base units the winner's token account actually gained in this transaction.
+  async function receivedAmount(signature, mint, owner) {
+    const tx = await connection.getTransaction(signature, {
+      commitment: 'confirmed',
+      maxSupportedTransactionVersion: 0,
+    });
+    const pre = tx?.meta?.preTokenBalances || [];
+    const post = tx?.meta?.postTokenBalances || [];
+    const after = post.find((b) => b.mint === mint && b.owner === owner);
+    if (!after) return null;
+    const before = pre.find((b) => b.accountIndex === after.accountIndex);
+    const delta = BigInt(after.uiTokenAmount?.amount || '0') - BigInt(before?.uiTokenAmount?.amount || '0');
+    return delta > 0n ? Number(delta) : null;
+  }
+
+  // Walks the funding wallet's signature history back to `sinceMs`, then reads the
+  // token balance changes of every successful transaction in it.
+  async function transfersSince(sinceMs, { maxPages = 10 } = {}) {
+    const fundingPubkey = requireFunder();
+    const sigs = [];
+    let before;
+    for (let page = 0; ; page++) {
+      if (page >= maxPages) return null; // too much history to be sure we saw it all
+      const batch = await connection.getSignaturesForAddress(fundingPubkey, { before, limit: 1000 });
+      let reachedStart = batch.length < 1000;
+      for (const s of batch) {
+        if (s.blockTime != null && s.blockTime * 1000 < sinceMs) { reachedStart = true; break; }
+        if (!s.err) sigs.push(s.signature);
+      }
+      if (reachedStart || !batch.length) break;
+      before = batch[batch.length - 1].signature;
+    }
+
+    const funderAddr = fundingPubkey.toBase58();
+    const out = [];
+    for (let i = 0; i < sigs.length; i += 50) {
+      const txs = await connection.getTransactions(sigs.slice(i, i + 50), {
+        commitment: 'confirmed',
+        maxSupportedTransactionVersion: 0,
+      });
+      txs.forEach((tx, j) => {
+        if (!tx || tx.meta?.err) return;
+        const pre = tx.meta?.preTokenBalances || [];
+        for (const post of tx.meta?.postTokenBalances || []) {
+          if (post.owner === funderAddr) continue;
+          const prev = pre.find((b) => b.accountIndex === post.accountIndex);
+          const delta = BigInt(post.uiTokenAmount?.amount || '0') - BigInt(prev?.uiTokenAmount?.amount || '0');
+          if (delta > 0n) {
+            out.push({ signature: sigs[i + j], blockTime: tx.blockTime, owner: post.owner, mint: post.mint, amount: Number(delta) });
+          }
+        }
+      });
+    }
+    return out;
+  }
+
+  return {
+    name: 'spl',
+    canSend: !!payer,
+    fundingAddress: () => funder?.toBase58() || null,
+    solBalance: () => connection.getBalance(requireFunder(), 'confirmed'),
+    tokenBalance,
+    inspectMint,
+    hasTokenAccount: async (owner, mint) => !!(await connection.getAccountInfo(await ataFor(mint, owner))),
+    prepareTransfer,
+    sendTransfer,
+    signatureStatuses,
+    finalizedBlockHeight: () => connection.getBlockHeight('finalized'),
+    receivedAmount,
+    transfersSince,
+  };
+}
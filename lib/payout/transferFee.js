@@ -0,0 +1,42 @@
+// /lib/payout/transferFee.js
+// Token-2022 mints can carry a transfer-fee extension: the token program withholds
+// a cut of every transfer (basis points, capped at a maximum) from what arrives.
+// Each enabled token picks who bears it:
+//   gross_up  send prize + fee, so the winner receives exactly the prize (default)
+//   net       send the prize; the winner receives prize − fee, and that is recorded
+//
+// Columns (run once): ALTER TABLE server_tokens ADD COLUMN transfer_fee_mode text DEFAULT 'gross_up';
+// ALTER TABLE spin_tokens ADD COLUMN transfer_fee_raw numeric;
+import { calculateFee } from '@solana/spl-token';
+
+export const FEE_MODES = ['gross_up', 'net'];
+
+export function feeModeFor(row) {
+  return FEE_MODES.includes(row?.transfer_fee_mode) ? row.transfer_fee_mode : 'gross_up';
+}
+
+/**
+ * `transferFee` is the fee in force this epoch ({ transferFeeBasisPoints,
+ * maximumFee }, as spl-token's getEpochFee returns it) or null for a mint without
+ * one. Returns { sendRaw, receivedRaw, feeRaw } as plain numbers.
+ */
+export function applyTransferFee(transferFee, amountRaw, mode = 'gross_up') {
+  const amount = BigInt(amountRaw);
+  const fee = (pre) => (transferFee ? calculateFee(transferFee, pre) : 0n);
+
+  let send = amount;
+  if (mode === 'gross_up' && fee(amount) > 0n) {
+    // Smallest pre-fee amount that still delivers `amount`. Start from the exact
+    // inverse of the percentage (or the cap, if that is lower) and step up past
+    // calculateFee's rounding.
+    const bps = BigInt(transferFee.transferFeeBasisPoints);
+    const max = BigInt(transferFee.maximumFee);
+    const pct = bps >= 10000n ? max : (amount * bps + (10000n - bps) - 1n) / (10000n - bps);
+    send = amount + (pct < max ? pct : max);
+    while (send > 0n && send - 1n - fee(send - 1n) >= amount) send -= 1n;
+    while (send - fee(send) < amount) send += 1n;
+  }
+
+  const withheld = fee(send);
+  return { sendRaw: Number(send), receivedRaw: Number(send - withheld), feeRaw: Number(withheld) };
+}
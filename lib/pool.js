@@ -0,0 +1,77 @@
+// /lib/pool.js
+// The funding wallet ("the pool"): what it takes to pay a spin, how full it is,
+// and the alert log. /api/spin refuses a spin when the pool can't pay it; the bot
+// (jobs.js) watches the same numbers on a timer and warns each server's admin
+// channel before that point is reached.
+//
+// Table (run once):
+//   CREATE TABLE pool_alerts (
+//     id bigserial PRIMARY KEY,
+//     server_id text NOT NULL,
+//     contract_address text,          -- null for the SOL (gas) balance
+//     kind text NOT NULL,             -- 'sol' | 'token' | 'refused'
+//     level text NOT NULL,            -- 'ok' | 'warning' | 'critical'
+//     detail text,
+//     created_at timestamptz DEFAULT now(),
+//     posted_at timestamptz,          -- set once the bot has dealt with the row
+//     suppressed boolean DEFAULT false -- dealt with by NOT posting (duplicate)
+//   );
+// It is both the history and the de-duplication state: the bot only posts when a
+// level differs from the last one it posted, or the same problem has gone
+// unresolved for POOL_ALERT_REPEAT_HOURS.
+//
+// Balances themselves are read through the payout backend (lib/payout).
+
+// Solana refuses any transaction that would drop the fee payer below the
+// rent-exempt floor, and creating a first-time winner's token account costs rent
+// on top of the fee.
+export const RENT_EXEMPT_FLOOR = 890880;   // lamports, 0-byte account
+export const ATA_RENT = 2039280;           // lamports, 165-byte token account
+export const FEE_HEADROOM = 20000;         // base fee + priority fee, generously
+
+// `ataRent` is higher for Token-2022 mints whose accounts carry extensions.
+export function lamportsNeeded(atasToCreate = 0, ataRent = ATA_RENT) {
+  return RENT_EXEMPT_FLOOR + FEE_HEADROOM + atasToCreate * ataRent;
+}
+
+const envNumber = (name, fallback) => {
+  const n = Number(process.env[name]);
+  return Number.isFinite(n) && n > 0 ? n : fallback;
+};
+
+// Warning: the pool is heading for trouble. Critical: the next spin may be refused.
+export const POOL_THRESHOLDS = {
+  solWarnLamports: Math.round(envNumber('POOL_SOL_WARN', 0.05) * 1e9),
+  tokenWarnPrizes: envNumber('POOL_TOKEN_WARN_PRIZES', 20),
+  repeatHours: envNumber('POOL_ALERT_REPEAT_HOURS', 12),
+};
+
+export function solLevel(lamports, t = POOL_THRESHOLDS) {
+  // Paying a first-time winner (their token account created) is the common worst case.
+  if (lamports < lamportsNeeded(1)) return 'critical';
+  if (lamports < t.solWarnLamports) return 'warning';
+  return 'ok';
+}
+
+export function tokenLevel(balanceRaw, maxPrizeRaw, t = POOL_THRESHOLDS) {
+  if (!(maxPrizeRaw > 0)) return 'ok';
+  if (balanceRaw < maxPrizeRaw) return 'critical';
+  if (balanceRaw < maxPrizeRaw * t.tokenWarnPrizes) return 'warning';
+  return 'ok';
+}
+
+/**
+ * Queue an alert about a spin /api/spin just refused. The bot posts (or folds
+ * duplicates of) these on its next pass; failure to record must never change the
+ * response the player gets, so errors are only logged.
+ */
+export async function recordRefusal(supabase, { server_id, contract_address, detail, level = 'critical' }) {
+  try {
+    const { error } = await supabase
+      .from('pool_alerts')
+      .insert({ server_id, contract_address, kind: 'refused', level, detail });
+    if (error) console.error(`[pool] refusal alert insert failed: ${error.message}`);
+  } catch (e) {
+    console.error(`[pool] refusal alert insert failed: ${e?.message || e}`);
+  }
+}
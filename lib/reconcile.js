@@ -0,0 +1,341 @@
+// /lib/reconcile.js
+// Settles spins that /api/spin parked in `review` because the transfer came back
+// UNCONFIRMED. Until now nothing ever looked at them again and admins resolved each
+// one by hand from Solscan.
+//
+// For every review spin we ask the chain about every signature that was signed for
+// it (spin_tokens.tx_attempts, written by the review path in api/spin.js):
+//  - one of them landed without error → mark the spin `paid` with the amount that
+//    actually reached the winner's token account and the tier that was drawn;
+//  - none landed AND every attempt's blockhash is past its last valid block
+//    height → none of them can ever land, so release the spin exactly like
+//    releaseSpin() does (drop the daily_spins row, token back to `issued`);
+//  - anything else (still in flight, RPC unsure, legacy rows with no blockhash
+//    height recorded) stays in `review` for the next pass or for a human.
+//
+// Every state change is conditioned on status still being `review`, so two
+// reconcilers (the bot's timer and an admin-triggered run) can't both act on a row.
+// "The chain" is whatever payout backend the caller passes (lib/payout).
+//
+// recoverReservedSpins() handles the other way a spin gets stranded: the function
+// dies between reserving the token and finishing the send, leaving it `reserved`
+// with a payout_amount_raw: 0 placeholder forever. See its comment below.
+//
+// Columns this relies on (run once): ALTER TABLE spin_tokens ADD COLUMN tx_signature text,
+// ADD COLUMN tx_attempts jsonb DEFAULT '[]', ADD COLUMN payout_amount_raw numeric, ADD COLUMN tier text;
+// Decisions are recorded in: CREATE TABLE spin_resolution_log (id bigserial PRIMARY KEY,
+//   spin_token text, server_id text, discord_id text, job text, outcome text, reason text,
+//   tx_signature text, created_at timestamptz DEFAULT now());
+import { tierForAmount, toBaseUnits } from './wheel.js';
+
+const LANDED = new Set(['confirmed', 'finalized']);
+
+const RECOVERY_MINUTES = Number(process.env.RESERVED_RECOVERY_MINUTES);
+// Well past the longest a live /api/spin can spend sending (a few blockhash lifetimes).
+export const RESERVED_RECOVERY_MS = (Number.isFinite(RECOVERY_MINUTES) && RECOVERY_MINUTES > 0 ? RECOVERY_MINUTES : 15) * 60 * 1000;
+
+// Every decision goes to the log table as well as stdout, so "what happened to my
+// spin?" has an answer after the fact. Best effort: logging never blocks a decision.
+async function logDecision(supabase, job, tok, result) {
+  console.log(
+    `[${job}] ${tok.server_id}/${tok.discord_id} token=${tok.token.slice(0, 8)}… → ${result.outcome}` +
+    (result.reason ? ` (${result.reason})` : '') +
+    (result.signature ? ` sig=${result.signature}` : '')
+  );
+  const { error } = await supabase.from('spin_resolution_log').insert({
+    spin_token: tok.token,
+    server_id: tok.server_id,
+    discord_id: tok.discord_id,
+    job,
+    outcome: result.outcome,
+    reason: result.reason || null,
+    tx_signature: result.signature || null,
+  });
+  if (error) console.error(`[${job}] decision log insert failed: ${error.message}`);
+}
+
+function attemptsFor(tok, dailyRow) {
+  const out = [];
+  for (const a of Array.isArray(tok.tx_attempts) ? tok.tx_attempts : []) {
+    if (a?.signature) {
+      const h = Number(a.lastValidBlockHeight);
+      out.push({ signature: a.signature, lastValidBlockHeight: Number.isFinite(h) ? h : null });
+    }
+  }
+  // Rows parked before attempts were recorded only have a single signature, on
+  // either table. Without a block height they can be settled as paid, never released.
+  const legacy = [tok.tx_signature, dailyRow?.tx_signature]
+    .filter((s) => s && s !== 'UNCONFIRMED' && !out.some((a) => a.signature === s));
+  for (const signature of new Set(legacy)) out.push({ signature, lastValidBlockHeight: null });
+  return out;
+}
+
+// Fallback for legacy rows that never stored the drawn tier: match the received
+// amount back to a segment of the wheel config.
+async function tierFromConfig(supabase, tok, amountBase) {
+  const { data: cfg } = await supabase
+    .from('wheel_configurations')
+    .select('payout_amounts, decimals')
+    .eq('server_id', tok.server_id)
+    .eq('contract_address', tok.contract_address)
+    .maybeSingle();
+  const amounts = Array.isArray(cfg?.payout_amounts) ? cfg.payout_amounts : [];
+  const decimals = Number.isFinite(Number(cfg?.decimals)) ? Number(cfg.decimals) : 0;
+  const match = amounts.find((a) => toBaseUnits(a, decimals) === amountBase);
+  return match != null ? tierForAmount(match, amounts) : 'common';
+}
+
+async function markPaid(supabase, payout, tok, dailyRow, signature) {
+  let amountBase = null;
+  try {
+    amountBase = await payout.receivedAmount(signature, tok.contract_address, tok.wallet_address);
+  } catch (e) {
+    console.error(`[reconcile] received amount for ${signature} failed: ${e?.message || e}`);
+  }
+  if (amountBase == null) amountBase = Number(tok.payout_amount_raw) || 0;
+  const tier = tok.tier || await tierFromConfig(supabase, tok, amountBase);
+
+  const { data: updated, error } = await supabase
+    .from('spin_tokens')
+    .update({
+      status: 'paid',
+      paid_at: new Date().toISOString(),
+      tx_signature: signature,
+      payout_amount_raw: amountBase,
+      tier,
+    })
+    .eq('token', tok.token)
+    .eq('status', 'review')
+    .select('token')
+    .maybeSingle();
+  if (error || !updated) return { outcome: 'skipped', reason: error?.message || 'no longer in review' };
+
+  if (dailyRow) {
+    await supabase
+      .from('daily_spins')
+      // settled_at puts it in front of the big-win scan (bigWins.js), however old the spin.
+      .update({ payout_amount_raw: amountBase, tier, tx_signature: signature, settled_at: new Date().toISOString() })
+      .eq('id', dailyRow.id);
+  }
+  return { outcome: 'paid', signature, amount_raw: amountBase, tier };
+}
+
+async function release(supabase, tok, dailyRow) {
+  const { data: updated, error } = await supabase
+    .from('spin_tokens')
+    .update({
+      status: 'issued',
+      reserved_at: null,
+      tx_signature: null,
+      tx_attempts: [],
+      payout_amount_raw: null,
+      tier: null,
+    })
+    .eq('token', tok.token)
+    .eq('status', 'review')
+    .select('token')
+    .maybeSingle();
+  if (error || !updated) return { outcome: 'skipped', reason: error?.message || 'no longer in review' };
+
+  if (dailyRow) await supabase.from('daily_spins').delete().eq('id', dailyRow.id);
+  return { outcome: 'released' };
+}
+
+/**
+ * Settle every spin in `review` (optionally only one server's).
+ * Returns { checked, paid, released, pending, results: [{ token_prefix, server_id, outcome, ... }] }.
+ */
+export async function reconcileReviewSpins({ supabase, payout, server_id = null, limit = 200 }) {
+  let q = supabase
+    .from('spin_tokens')
+    .select('token, server_id, discord_id, wallet_address, contract_address, tx_signature, tx_attempts, payout_amount_raw, tier')
+    .eq('status', 'review')
+    .order('reserved_at', { ascending: true })
+    .limit(limit);
+  if (server_id) q = q.eq('server_id', server_id);
+  const { data: rows, error } = await q;
+  if (error) throw new Error(`review query failed: ${error.message}`);
+
+  const summary = { checked: 0, paid: 0, released: 0, pending: 0, results: [] };
+  if (!rows?.length) return summary;
+
+  // One block height for the whole pass. Finalized, so "expired" is never a guess.
+  let blockHeight = null;
+  try {
+    blockHeight = await payout.finalizedBlockHeight();
+  } catch (e) {
+    console.error(`[reconcile] block height failed: ${e?.message || e}`);
+  }
+
+  for (const tok of rows) {
+    summary.checked += 1;
+    let result;
+    try {
+      const { data: dailyRow } = await supabase
+        .from('daily_spins')
+        .select('id, tx_signature')
+        .eq('spin_token', tok.token)
+        .maybeSingle();
+
+      const attempts = attemptsFor(tok, dailyRow);
+      if (!attempts.length) {
+        result = { outcome: 'pending', reason: 'no signature recorded; needs manual review' };
+      } else {
+        const statuses = await payout.signatureStatuses(attempts.map((a) => a.signature));
+        const landedIdx = statuses.findIndex((st) => st && !st.err && LANDED.has(st.confirmationStatus));
+        const inFlight = statuses.some((st) => st && !st.err && !LANDED.has(st.confirmationStatus));
+        const heights = attempts.map((a) => a.lastValidBlockHeight);
+        const lastValid = heights.includes(null) ? null : Math.max(...heights);
+
+        if (landedIdx >= 0) {
+          result = await markPaid(supabase, payout, tok, dailyRow, attempts[landedIdx].signature);
+        } else if (inFlight) {
+          result = { outcome: 'pending', reason: 'transaction seen but not yet confirmed' };
+        } else if (lastValid == null || blockHeight == null) {
+          result = { outcome: 'pending', reason: 'not found; cannot prove blockhash expiry' };
+        } else if (blockHeight > lastValid) {
+          result = await release(supabase, tok, dailyRow);
+        } else {
+          result = { outcome: 'pending', reason: 'not found; blockhash still valid' };
+        }
+      }
+    } catch (e) {
+      result = { outcome: 'pending', reason: `error: ${e?.message || e}` };
+    }
+
+    if (result.outcome === 'paid') summary.paid += 1;
+    else if (result.outcome === 'released') summary.released += 1;
+    else summary.pending += 1;
+
+    await logDecision(supabase, 'reconcile', tok, result);
+    // The token is a bearer credential — results only ever carry its prefix.
+    summary.results.push({ token_prefix: tok.token.slice(0, 8), server_id: tok.server_id, discord_id: tok.discord_id, ...result });
+  }
+
+  return summary;
+}
+
+/**
+ * Recover spins stranded in `reserved` for longer than RESERVED_RECOVERY_MS.
+ *
+ *  - The token has a tx_signature: /api/spin signed (and maybe broadcast) a
+ *    transfer before it died. Escalate to `review`; the reconciler settles it.
+ *  - No signature: look for any transfer from the funding wallet to this winner,
+ *    for this mint, since the reservation, that no other spin has claimed. Found →
+ *    escalate to `review` with that signature. Provably none → release the slot
+ *    exactly like releaseSpin() (drop the placeholder row, token back to `issued`).
+ *  - Chain unreadable → leave it alone until the next pass.
+ */
+export async function recoverReservedSpins({ supabase, payout, server_id = null, limit = 200 }) {
+  const cutoff = new Date(Date.now() - RESERVED_RECOVERY_MS).toISOString();
+  let q = supabase
+    .from('spin_tokens')
+    .select('token, server_id, discord_id, wallet_address, contract_address, reserved_at, tx_signature, tx_attempts')
+    .eq('status', 'reserved')
+    .lt('reserved_at', cutoff)
+    .order('reserved_at', { ascending: true })
+    .limit(limit);
+  if (server_id) q = q.eq('server_id', server_id);
+  const { data: rows, error } = await q;
+  if (error) throw new Error(`reserved query failed: ${error.message}`);
+
+  const summary = { checked: 0, escalated: 0, released: 0, pending: 0, results: [] };
+  if (!rows?.length) return summary;
+
+  // One scan of the funding wallet's history covers every unsigned row.
+  let transfers = null;
+  let scanError = null;
+  const unsigned = rows.filter((r) => !r.tx_signature);
+  if (unsigned.length) {
+    const since = Math.min(...unsigned.map((r) => new Date(r.reserved_at).getTime())) - 60 * 1000;
+    try {
+      if (!payout.fundingAddress()) throw new Error('funding wallet public key not configured');
+      transfers = await payout.transfersSince(since);
+      if (!transfers) scanError = 'funding wallet history too long to scan';
+    } catch (e) {
+      scanError = e?.message || String(e);
+    }
+  }
+
+  const escalate = async (tok, signature, reason) => {
+    const patch = { status: 'review' };
+    if (signature) {
+      patch.tx_signature = signature;
+      if (!Array.isArray(tok.tx_attempts) || !tok.tx_attempts.length) {
+        patch.tx_attempts = [{ signature, lastValidBlockHeight: null }];
+      }
+    }
+    const { data: updated, error: uErr } = await supabase
+      .from('spin_tokens')
+      .update(patch)
+      .eq('token', tok.token)
+      .eq('status', 'reserved')
+      .select('token')
+      .maybeSingle();
+    if (uErr || !updated) return { outcome: 'skipped', reason: uErr?.message || 'no longer reserved' };
+    await supabase
+      .from('daily_spins')
+      .update({ tier: 'review', tx_signature: signature || 'UNCONFIRMED' })
+      .eq('spin_token', tok.token);
+    return { outcome: 'escalated', reason, signature };
+  };
+
+  for (const tok of rows) {
+    summary.checked += 1;
+    let result;
+    try {
+      if (tok.tx_signature) {
+        result = await escalate(tok, tok.tx_signature, 'transfer was signed before the spin function stopped');
+      } else if (scanError) {
+        result = { outcome: 'pending', reason: `cannot check chain: ${scanError}` };
+      } else {
+        const since = new Date(tok.reserved_at).getTime() - 60 * 1000;
+        const candidates = transfers.filter((t) =>
+          t.owner === tok.wallet_address &&
+          t.mint === tok.contract_address &&
+          (t.blockTime == null || t.blockTime * 1000 >= since)
+        );
+        let match = null;
+        if (candidates.length) {
+          const { data: claimed } = await supabase
+            .from('spin_tokens')
+            .select('tx_signature')
+            .in('tx_signature', candidates.map((c) => c.signature))
+            .neq('token', tok.token);
+          const taken = new Set((claimed || []).map((c) => c.tx_signature));
+          match = candidates.find((c) => !taken.has(c.signature)) || null;
+        }
+
+        if (match) {
+          result = await escalate(tok, match.signature, 'unclaimed transfer to this winner found on-chain');
+        } else {
+          const { data: updated, error: uErr } = await supabase
+            .from('spin_tokens')
+            .update({ status: 'issued', reserved_at: null })
+            .eq('token', tok.token)
+            .eq('status', 'reserved')
+            .eq('reserved_at', tok.reserved_at)
+            .select('token')
+            .maybeSingle();
+          if (uErr || !updated) {
+            result = { outcome: 'skipped', reason: uErr?.message || 'no longer reserved' };
+          } else {
+            await supabase.from('daily_spins').delete().eq('spin_token', tok.token);
+            result = { outcome: 'released', reason: 'no signature and no matching transfer on-chain' };
+          }
+        }
+      }
+    } catch (e) {
+      result = { outcome: 'pending', reason: `error: ${e?.message || e}` };
+    }
+
+    if (result.outcome === 'escalated') summary.escalated += 1;
+    else if (result.outcome === 'released') summary.released += 1;
+    else summary.pending += 1;
+
+    await logDecision(supabase, 'recover-reserved', tok, result);
+    summary.results.push({ token_prefix: tok.token.slice(0, 8), server_id: tok.server_id, discord_id: tok.discord_id, ...result });
+  }
+
+  return summary;
+}
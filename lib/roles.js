@@ -0,0 +1,106 @@
+// /lib/roles.js
+// Discord role rules (/spinrole). Per server, and either per token or for all of
+// a server's tokens (contract_address '*'); a token's own rule for a role
+// replaces the server-wide one. A rule can:
+//   required           — only members holding at least one required role may spin
+//   spin_limit         — spins per allowance window for holders, if more than the
+//                        token's own limit (the window itself stays the token's)
+//   payout_multiplier  — scales every prize a holder wins (1–MAX_MULTIPLIER)
+// A member holding several roles gets the best limit and the best multiplier.
+//
+// The bot reads the member's roles at /spin and writes what they resolve to onto
+// the link (spin_tokens.entitlements); api/spin.js applies that, never anything
+// sent by the page. The multiplier is also written into the spin's wheel_snapshot
+// so /api/verify-spin can replay the scaled prize.
+//
+// Table and column (run once):
+//   CREATE TABLE role_rules (
+//     id bigserial PRIMARY KEY,
+//     server_id text NOT NULL,
+//     contract_address text NOT NULL DEFAULT '*',
+//     role_id text NOT NULL,
+//     required boolean NOT NULL DEFAULT false,
+//     spin_limit int,
+//     payout_multiplier numeric,
+//     updated_by text,
+//     updated_at timestamptz DEFAULT now(),
+//     UNIQUE (server_id, contract_address, role_id)
+//   );
+//   ALTER TABLE spin_tokens ADD COLUMN entitlements jsonb;
+
+export const ALL_TOKENS = '*';
+export const MAX_MULTIPLIER = 10;
+
+export async function loadRoleRules(supabase, server_id) {
+  const { data, error } = await supabase
+    .from('role_rules')
+    .select('contract_address, role_id, required, spin_limit, payout_multiplier')
+    .eq('server_id', server_id);
+  if (error) throw new Error(error.message);
+  return data || [];
+}
+
+/** The member's role ids, from a discord.js GuildMember or a raw API member. */
+export function memberRoleIds(member) {
+  if (!member) return [];
+  if (Array.isArray(member.roles)) return member.roles.map(String);
+  return [...(member.roles?.cache?.keys?.() || [])];
+}
+
+// The rules that apply to one token: server-wide ones, overridden per role by the token's own.
+export function rulesForToken(rules, contract_address) {
+  const byRole = new Map();
+  for (const r of rules) if (r.contract_address === ALL_TOKENS) byRole.set(r.role_id, r);
+  for (const r of rules) if (r.contract_address === contract_address) byRole.set(r.role_id, r);
+  return [...byRole.values()];
+}
+
+function clampMultiplier(v) {
+  const n = Number(v);
+  return v != null && Number.isFinite(n) && n >= 1 ? Math.min(n, MAX_MULTIPLIER) : 1;
+}
+
+/**
+ * What a member holding `roleIds` gets for `contract_address`.
+ * Returns { allowed, required_roles, entitlements: { roles, spin_limit, payout_multiplier } }.
+ */
+export function resolveEntitlements(rules, roleIds, contract_address) {
+  const held = new Set(roleIds);
+  const applicable = rulesForToken(rules, contract_address);
+  const required_roles = applicable.filter((r) => r.required).map((r) => r.role_id);
+  const mine = applicable.filter((r) => held.has(r.role_id));
+
+  const limits = mine.map((r) => Math.floor(Number(r.spin_limit))).filter((n) => n > 0);
+  return {
+    allowed: !required_roles.length || required_roles.some((id) => held.has(id)),
+    required_roles,
+    entitlements: {
+      roles: mine.map((r) => r.role_id),
+      spin_limit: limits.length ? Math.max(...limits) : null,
+      payout_multiplier: Math.max(1, ...mine.map((r) => clampMultiplier(r.payout_multiplier))),
+    },
+  };
+}
+
+/** An allowance policy (lib/allowance.js) with a link's role entitlements applied. */
+export function applyEntitlements(policy, entitlements) {
+  const limit = Math.floor(Number(entitlements?.spin_limit));
+  return limit > policy.limit ? { ...policy, limit } : policy;
+}
+
+export function payoutMultiplier(entitlements) {
+  return clampMultiplier(entitlements?.payout_multiplier);
+}
+
+/** A prize in base units scaled by `multiplier`, rounded down to whole units. */
+export function applyMultiplier(amountRaw, multiplier = 1) {
+  return multiplier === 1 ? amountRaw : Math.floor(amountRaw * multiplier);
+}
+
+export function describeRoleRule(r) {
+  const parts = [];
+  if (r.required) parts.push('required to spin');
+  if (r.spin_limit) parts.push(`${r.spin_limit} spins per window`);
+  if (clampMultiplier(r.payout_multiplier) > 1) parts.push(`${clampMultiplier(r.payout_multiplier)}× payouts`);
+  return parts.join(', ') || 'no effect';
+}
@@ -0,0 +1,59 @@
+// /lib/serverSettings.js
+// Per-guild bot settings. One row per server; a server with no row gets the
+// defaults below, so nothing has to be seeded before the bot works.
+//
+// Table (run once):
+//   CREATE TABLE server_settings (
+//     server_id text PRIMARY KEY,
+//     reset_timezone text NOT NULL DEFAULT 'UTC',
+//     reset_hour int NOT NULL DEFAULT 0,
+//     updated_by text,
+//     updated_at timestamptz DEFAULT now()
+//   );
+// Added since (run once):
+//   ALTER TABLE server_settings ADD COLUMN alert_channel_id text;   -- prize pool alerts (poolAlerts.js)
+//   ALTER TABLE server_settings ADD COLUMN require_verified_wallet boolean DEFAULT false;  -- lib/walletVerify.js
+//   min_account_age_days, min_member_days, max_accounts_per_wallet   -- anti-abuse rules, see lib/sybil.js
+//   streak_bonuses, streak_grace_days                                 -- lib/streaks.js
+//   leaderboard_schedule                                              -- leaderboardPosts.js
+//   announce_min_tier, announce_template                              -- big-win posts, lib/announce.js
+//   spin_channel_ids, leaderboard_channel_id, link_delivery           -- lib/channels.js
+import { DEFAULT_CLOCK } from './spinDay.js';
+
+export const DEFAULT_SETTINGS = {
+  ...DEFAULT_CLOCK,
+};
+
+/**
+ * Settings for a server, defaults filled in. An unreadable row falls back to the
+ * defaults, which is fine for the reset clock, stats and announcements. Callers
+ * that enforce a rule from these settings (verified wallets, anti-abuse) pass
+ * `{ strict: true }` and get the error thrown instead, since the defaults would
+ * switch the rule off.
+ */
+export async function loadServerSettings(supabase, server_id, { strict = false } = {}) {
+  const { data, error } = await supabase
+    .from('server_settings')
+    .select('*')
+    .eq('server_id', server_id)
+    .maybeSingle();
+  if (error) {
+    if (strict) throw new Error(error.message);
+    console.error(`[settings] load ${server_id} failed: ${error.message}`);
+  }
+  const out = { ...DEFAULT_SETTINGS, server_id };
+  for (const [k, v] of Object.entries(data || {})) {
+    if (v !== null && v !== undefined) out[k] = v;
+  }
+  return out;
+}
+
+export async function saveServerSettings(supabase, server_id, patch, updated_by = null) {
+  const { data, error } = await supabase
+    .from('server_settings')
+    .upsert({ server_id, ...patch, updated_by, updated_at: new Date().toISOString() }, { onConflict: 'server_id' })
+    .select('*')
+    .single();
+  if (error) throw new Error(error.message);
+  return data;
+}
@@ -32,13 +32,24 @@ import {
  *   - 'PREFLIGHT'   : rejected before landing (no funds moved) — safe to retry/refund
  *   - 'ONCHAIN_FAIL': landed but failed (no funds moved)        — safe to retry/refund
  *   - 'UNCONFIRMED' : submitted, outcome unknown (may have paid) — do NOT retry/refund
+ *
+ * `onSigned({ signature, lastValidBlockHeight, attempts })`, if given, is awaited after
+ * each transaction is signed and BEFORE it is submitted, so the caller can persist
+ * the signature first. If it throws, that transaction is never sent (PREFLIGHT).
+ * Without it, a function killed mid-send left a `reserved` spin with no record of
+ * what it might have broadcast.
+ *
+ * UNCONFIRMED errors carry `attempts`: every { signature, lastValidBlockHeight } that
+ * was signed in this call, newest last. That is everything the review reconciler
+ * needs to settle the spin later — whether any of them landed, and once the last
+ * blockhash has expired, proof that none of them ever can.
  */
 
 const B58_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
 
 // Local base58 so we can know a transaction's signature before it is broadcast,
 // without adding a dependency.
-function base58Encode(bytes) {
+export function base58Encode(bytes) {
   const digits = [0];
   for (let i = 0; i < bytes.length; i++) {
     let carry = bytes[i];
@@ -70,6 +81,7 @@ export async function sendTxWithFreshBlockhash({
   recentAccounts = [],
   maxRetries = 4,
   commitment = 'confirmed',
+  onSigned = null,
 }) {
   // Best-effort account warm-up to reduce "could not find account" under load
   try {
@@ -86,6 +98,7 @@ export async function sendTxWithFreshBlockhash({
   const cuLimits = [200000, 400000, 600000, 600000];
 
   let lastErr;
+  const attempts = [];
 
   for (let i = 0; i < Math.max(1, maxRetries); i++) {
     const { blockhash, lastValidBlockHeight } = await connection.getLatestBlockhash({ commitment });
@@ -108,6 +121,17 @@ export async function sendTxWithFreshBlockhash({
     // front is what lets us resolve an ambiguous submit against the chain instead
     // of blindly rebuilding (which is how the same spin could pay twice).
     const signature = base58Encode(tx.signatures[0]);
+    attempts.push({ signature, lastValidBlockHeight });
+
+    if (onSigned) {
+      try {
+        await onSigned({ signature, lastValidBlockHeight, attempts: [...attempts] });
+      } catch (e) {
+        const err = new Error(`Not submitted: could not record signature: ${e?.message || e}`);
+        err.code = 'PREFLIGHT';
+        throw err;
+      }
+    }
 
     // --- Submit ---
     try {
@@ -190,6 +214,7 @@ export async function sendTxWithFreshBlockhash({
         const err = new Error('Transfer submitted but not yet confirmed');
         err.code = 'UNCONFIRMED';
         err.signature = signature;
+        err.attempts = attempts;
         throw err;
       }
       // Blockhash expired AND signature not found → that tx can never land.
@@ -202,5 +227,7 @@ export async function sendTxWithFreshBlockhash({
   if (lastErr?.code === 'PREFLIGHT' || lastErr?.code === 'ONCHAIN_FAIL') throw lastErr;
   const err = new Error('Transfer status unknown after retries');
   err.code = 'UNCONFIRMED';
+  err.signature = attempts.length ? attempts[attempts.length - 1].signature : undefined;
+  err.attempts = attempts;
   throw err;
 }
@@ -0,0 +1,105 @@
+// /lib/spinDay.js
+// One definition of "today" per server. The bot's limit check, /api/spin's
+// spin_day and the admin chart each rolled the day over on their own clock — two
+// at UTC midnight (7–8pm for US communities) and the chart in whatever zone the
+// caller passed. A server now picks a reset time zone + hour (server_settings) and
+// every day/week boundary is computed here from that.
+//
+// A clock is { reset_timezone, reset_hour }. A spin day is labelled by the local
+// calendar date on which it STARTS: with a 17:00 reset, Tuesday 16:59 local is
+// still Monday's spin day.
+
+const DAY_MS = 24 * 3600 * 1000;
+
+export const DEFAULT_CLOCK = { reset_timezone: 'UTC', reset_hour: 0 };
+
+export function isValidTimeZone(tz) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: tz });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+export function normalizeClock(settings) {
+  const tz = settings?.reset_timezone && isValidTimeZone(settings.reset_timezone)
+    ? settings.reset_timezone
+    : DEFAULT_CLOCK.reset_timezone;
+  const h = Math.floor(Number(settings?.reset_hour));
+  return { reset_timezone: tz, reset_hour: h >= 0 && h <= 23 ? h : DEFAULT_CLOCK.reset_hour };
+}
+
+const partsFormatters = new Map();
+function zonedParts(date, tz) {
+  let fmt = partsFormatters.get(tz);
+  if (!fmt) {
+    fmt = new Intl.DateTimeFormat('en-US', {
+      timeZone: tz, hourCycle: 'h23',
+      year: 'numeric', month: '2-digit', day: '2-digit',
+      hour: '2-digit', minute: '2-digit', second: '2-digit',
+    });
+    partsFormatters.set(tz, fmt);
+  }
+  const p = {};
+  for (const { type, value } of fmt.formatToParts(date)) p[type] = Number(value);
+  return p;
+}
+
+// Local wall-clock time in `tz` → the UTC instant. Two passes so a guess that
+// lands on the other side of a DST change corrects itself.
+function zonedToUtc(y, m, d, h, tz) {
+  const wall = Date.UTC(y, m - 1, d, h);
+  const offsetAt = (t) => {
+    const p = zonedParts(new Date(t), tz);
+    return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - Math.floor(t / 1000) * 1000;
+  };
+  let t = wall - offsetAt(wall);
+  t = wall - offsetAt(t);
+  return new Date(t);
+}
+
+// Calendar-date arithmetic on 'YYYY-MM-DD' labels (no time zone involved).
+function shiftLabel(label, days) {
+  const [y, m, d] = label.split('-').map(Number);
+  return new Date(Date.UTC(y, m - 1, d) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+function labelStart(label, clock) {
+  const [y, m, d] = label.split('-').map(Number);
+  return zonedToUtc(y, m, d, clock.reset_hour, clock.reset_timezone);
+}
+
+/** The spin-day label ('YYYY-MM-DD') that `date` falls in under `settings`. */
+export function spinDayFor(date, settings) {
+  const clock = normalizeClock(settings);
+  const p = zonedParts(date, clock.reset_timezone);
+  const label = `${p.year}-${String(p.month).padStart(2, '0')}-${String(p.day).padStart(2, '0')}`;
+  return p.hour < clock.reset_hour ? shiftLabel(label, -1) : label;
+}
+
+/** { start, end, label } of the spin day containing `date`. */
+export function dayBounds(date, settings) {
+  const clock = normalizeClock(settings);
+  const label = spinDayFor(date, clock);
+  return { start: labelStart(label, clock), end: labelStart(shiftLabel(label, 1), clock), label };
+}
+
+/** { start, end, label } of the Monday-based spin week containing `date`. */
+export function weekBounds(date, settings) {
+  const clock = normalizeClock(settings);
+  const day = spinDayFor(date, clock);
+  const [y, m, d] = day.split('-').map(Number);
+  const monday = shiftLabel(day, -((new Date(Date.UTC(y, m - 1, d)).getUTCDay() + 6) % 7));
+  return { start: labelStart(monday, clock), end: labelStart(shiftLabel(monday, 7), clock), label: monday };
+}
+
+/** { start, end, label } of the calendar month (1st at the reset hour) containing `date`. */
+export function monthBounds(date, settings) {
+  const clock = normalizeClock(settings);
+  const day = spinDayFor(date, clock);
+  const [y, m] = day.split('-').map(Number);
+  const label = `${y}-${String(m).padStart(2, '0')}-01`;
+  const next = m === 12 ? `${y + 1}-01-01` : `${y}-${String(m + 1).padStart(2, '0')}-01`;
+  return { start: labelStart(label, clock), end: labelStart(next, clock), label };
+}
@@ -0,0 +1,64 @@
+// /lib/spinTokens.js
+// Lifetime of a spin link. Links used to live until spent, so one pasted into a
+// public channel stayed spinnable by anyone (and, while admin APIs accepted spin
+// tokens, an admin's old link opened the panel forever; see lib/adminSessions.js).
+// Every link now carries an expires_at; /api/spin refuses it after that,
+// /spin revoke kills a player's open links, and the bot's sweeper marks
+// stale `issued` rows `expired` so they stop showing up as live.
+//
+// Column (run once): ALTER TABLE spin_tokens ADD COLUMN expires_at timestamptz;
+// Rows from before it existed have no expires_at and age out by created_at.
+
+const TTL_MINUTES = Number(process.env.SPIN_LINK_TTL_MINUTES);
+export const SPIN_LINK_TTL_MS = (Number.isFinite(TTL_MINUTES) && TTL_MINUTES > 0 ? TTL_MINUTES : 60) * 60 * 1000;
+
+// Statuses a link can never come back from.
+export const DEAD_STATUSES = ['void', 'expired', 'revoked'];
+
+export function linkExpiry(now = new Date()) {
+  return new Date(now.getTime() + SPIN_LINK_TTL_MS).toISOString();
+}
+
+export function isExpired(tok, now = new Date()) {
+  if (tok?.expires_at) return new Date(tok.expires_at).getTime() <= now.getTime();
+  if (tok?.created_at) return new Date(tok.created_at).getTime() + SPIN_LINK_TTL_MS <= now.getTime();
+  return false;
+}
+
+/** Void every still-unused link a player holds on a server. Returns how many. */
+export async function revokeSpinTokens(supabase, { server_id, discord_id }) {
+  const { data, error } = await supabase
+    .from('spin_tokens')
+    .update({ status: 'revoked' })
+    .eq('server_id', server_id)
+    .eq('discord_id', discord_id)
+    .eq('status', 'issued')
+    .select('token');
+  if (error) throw new Error(error.message);
+  return (data || []).length;
+}
+
+/** Mark `issued` links past their expiry as `expired`. Returns how many. */
+export async function expireStaleSpinTokens(supabase, now = new Date()) {
+  const nowISO = now.toISOString();
+  const legacyCutoff = new Date(now.getTime() - SPIN_LINK_TTL_MS).toISOString();
+
+  const { data: a, error: e1 } = await supabase
+    .from('spin_tokens')
+    .update({ status: 'expired' })
+    .eq('status', 'issued')
+    .lte('expires_at', nowISO)
+    .select('token');
+  if (e1) throw new Error(e1.message);
+
+  const { data: b, error: e2 } = await supabase
+    .from('spin_tokens')
+    .update({ status: 'expired' })
+    .eq('status', 'issued')
+    .is('expires_at', null)
+    .lte('created_at', legacyCutoff)
+    .select('token');
+  if (e2) throw new Error(e2.message);
+
+  return (a || []).length + (b || []).length;
+}
@@ -0,0 +1,158 @@
+// /lib/streaks.js
+// Consecutive-day spin streaks, per server, token and player, read from the
+// spin_day labels on daily_spins (the server's clock, lib/spinDay.js). A streak
+// is the run of spin days ending today; a gap of up to `grace` missed days is
+// bridged (the missed days just don't count), a longer one ends it.
+//
+// The server's bonus curve (/spinconfig streaks) rewards long streaks:
+//   { days: 3, bonus_pct: 10 }     prizes +10% from day 3
+//   { days: 30, min_tier: 'rare' } from day 30 the draw can't land below 'rare'
+// The best step reached applies. Bonuses and role multipliers (lib/roles.js)
+// compound. A minimum tier re-draws among the qualifying slices with the spin's
+// own seeded RNG, before any payout-cap re-draw, so /api/verify-spin replays it.
+//
+// Columns (run once): ALTER TABLE server_settings ADD COLUMN streak_bonuses jsonb,
+// ADD COLUMN streak_grace_days int DEFAULT 0;
+import { pickWeightedIndex, tierForAmount, TIERS } from './wheel.js';
+import { spinDayFor } from './spinDay.js';
+import { selectAllRows } from './fetchAll.js';
+
+const DAY_MS = 24 * 3600 * 1000;
+export const MAX_GRACE_DAYS = 3;
+export const MAX_STREAK_BONUS_PCT = 500;
+// How far back a streak is counted. Longer streaks still show, capped at this.
+const SCAN_DAYS = 400;
+
+function shiftDay(label, days) {
+  const [y, m, d] = label.split('-').map(Number);
+  return new Date(Date.UTC(y, m - 1, d) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+function normalizeCurve(raw) {
+  if (!Array.isArray(raw)) return [];
+  return raw
+    .map((s) => ({
+      days: Math.floor(Number(s?.days)),
+      bonus_pct: Number(s?.bonus_pct) > 0 ? Math.min(Number(s.bonus_pct), MAX_STREAK_BONUS_PCT) : null,
+      min_tier: TIERS.includes(s?.min_tier) ? s.min_tier : null,
+    }))
+    .filter((s) => s.days > 0 && (s.bonus_pct || s.min_tier))
+    .sort((a, b) => a.days - b.days);
+}
+
+export function streakPolicy(settings) {
+  const grace = Math.floor(Number(settings?.streak_grace_days));
+  return {
+    curve: normalizeCurve(settings?.streak_bonuses),
+    grace: grace > 0 ? Math.min(grace, MAX_GRACE_DAYS) : 0,
+  };
+}
+
+/**
+ * Parse a curve typed into Discord: comma-separated `days:effect` steps where the
+ * effect is a percentage or a tier name, e.g. "3:10%, 7:25%, 30:rare".
+ * Returns { ok: true, curve } or { ok: false, error }.
+ */
+export function parseStreakCurve(text) {
+  const steps = new Map();
+  for (const part of String(text || '').split(',').map((p) => p.trim()).filter(Boolean)) {
+    const m = part.match(/^(\d+)\s*:\s*(?:\+?(\d+(?:\.\d+)?)\s*%|([a-z]+))$/i);
+    if (!m || !(Number(m[1]) > 0)) return { ok: false, error: `Can't read "${part}". Use steps like 3:10% or 30:rare.` };
+    const step = steps.get(Number(m[1])) || { days: Number(m[1]), bonus_pct: null, min_tier: null };
+    if (m[2]) {
+      const pct = Number(m[2]);
+      if (!(pct > 0) || pct > MAX_STREAK_BONUS_PCT) return { ok: false, error: `Bonus must be between 0 and ${MAX_STREAK_BONUS_PCT}% ("${part}").` };
+      step.bonus_pct = pct;
+    } else {
+      const tier = m[3].toLowerCase();
+      if (!TIERS.includes(tier)) return { ok: false, error: `Unknown tier "${m[3]}". Tiers: ${TIERS.join(', ')}.` };
+      step.min_tier = tier;
+    }
+    steps.set(step.days, step);
+  }
+  if (!steps.size) return { ok: false, error: 'Give at least one step, e.g. 3:10%, 7:25%, 30:rare.' };
+  return { ok: true, curve: normalizeCurve([...steps.values()]) };
+}
+
+function describeStep(s) {
+  return [s.bonus_pct && `+${s.bonus_pct}%`, s.min_tier && `${s.min_tier}+`].filter(Boolean).join(' & ');
+}
+
+export function describeStreakPolicy(policy) {
+  const curve = policy.curve.length
+    ? policy.curve.map((s) => `${s.days}d ${describeStep(s)}`).join(', ')
+    : 'no bonuses';
+  return `${curve}; ${policy.grace ? `${policy.grace} grace day${policy.grace === 1 ? '' : 's'}` : 'no grace days'}`;
+}
+
+/** The best bonus `days` has reached on `curve`: { bonus_pct, min_tier }. */
+export function streakBonus(curve, days) {
+  let bonus_pct = 0;
+  let min_tier = null;
+  for (const s of curve) {
+    if (s.days > days) break;
+    if (s.bonus_pct) bonus_pct = Math.max(bonus_pct, s.bonus_pct);
+    if (s.min_tier && (!min_tier || TIERS.indexOf(s.min_tier) > TIERS.indexOf(min_tier))) min_tier = s.min_tier;
+  }
+  return { bonus_pct, min_tier };
+}
+
+/**
+ * Length of the streak a spin on `today` makes (today always counts), given the
+ * set of spin-day labels already played.
+ */
+export function countStreak(spinDays, today, grace = 0) {
+  let days = 1;
+  let missed = 0;
+  for (let d = shiftDay(today, -1), i = 0; i < SCAN_DAYS; d = shiftDay(d, -1), i++) {
+    if (spinDays.has(d)) {
+      days++;
+      missed = 0;
+    } else if (++missed > grace) {
+      break;
+    }
+  }
+  return days;
+}
+
+/**
+ * The player's streak for a spin now: { days, bonus_pct, min_tier, next, current }
+ * where `next` is the following step on the curve ({ days, bonus_pct, min_tier })
+ * or null, and `current` is the streak as it stands without that spin (0 once broken).
+ */
+export async function spinStreak(supabase, { server_id, discord_id, contract_address }, policy, clock, now = new Date()) {
+  const today = spinDayFor(now, clock);
+  const { data, error } = await selectAllRows(() => supabase
+    .from('daily_spins')
+    .select('id, spin_day')
+    .eq('server_id', server_id)
+    .eq('discord_id', discord_id)
+    .eq('contract_address', contract_address)
+    .gte('spin_day', shiftDay(today, -SCAN_DAYS))
+    .order('id', { ascending: true }));
+  if (error) throw new Error(`streak query failed: ${error.message}`);
+
+  const spinDays = new Set((data || []).map((r) => r.spin_day));
+  const days = countStreak(spinDays, today, policy.grace);
+  const next = policy.curve.find((s) => s.days > days) || null;
+  // countStreak() counts today either way; it only really counts once played.
+  const current = spinDays.has(today) ? days : days - 1;
+  return { days, ...streakBonus(policy.curve, days), next, current };
+}
+
+/**
+ * The slice a draw lands on once a minimum tier applies: `index` if it already
+ * qualifies, else a weighted re-draw among the slices that do (or `index` if none
+ * can). Uses `rand` so a seeded draw stays replayable.
+ */
+export function floorTier(amounts, weights, index, minTier, rand) {
+  if (!minTier) return index;
+  const floor = TIERS.indexOf(minTier);
+  const qualifies = (i) => TIERS.indexOf(tierForAmount(amounts[i], amounts)) >= floor;
+  if (qualifies(index)) return index;
+  const fitting = amounts
+    .map((a, i) => i)
+    .filter((i) => qualifies(i) && Math.floor(Number(weights[i])) > 0);
+  if (!fitting.length) return index;
+  return fitting[pickWeightedIndex(fitting.map((i) => weights[i]), rand)];
+}
@@ -0,0 +1,138 @@
+// /lib/sybil.js
+// Per-server anti-abuse rules for spinning. A farm of fresh alt accounts, or
+// several accounts funnelling prizes into one wallet, used to look exactly like
+// real members. Each rule is off unless the server sets it (/spinconfig sybil):
+//
+//   account_age     Discord account younger than min_account_age_days (read from
+//                   the snowflake — no API call)
+//   guild_tenure    member of this server for less than min_member_days
+//   shared_wallet   the linked wallet is used by more than max_accounts_per_wallet
+//                   Discord IDs in `users`
+//
+// The bot checks when issuing a link and api/spin.js again before paying. The API
+// can't see guild membership, so the bot stamps the member's join date on the
+// link (spin_tokens.member_joined_at). Every refusal is recorded in sybil_flags,
+// which the admin panel lists (api/admin/sybil.js). Superadmins are exempt.
+//
+// Columns and table (run once):
+//   ALTER TABLE server_settings ADD COLUMN min_account_age_days int,
+//     ADD COLUMN min_member_days int, ADD COLUMN max_accounts_per_wallet int;
+//   ALTER TABLE spin_tokens ADD COLUMN member_joined_at timestamptz;
+//   CREATE TABLE sybil_flags (
+//     id bigserial PRIMARY KEY,
+//     server_id text NOT NULL,
+//     discord_id text NOT NULL,
+//     wallet_address text,
+//     rule text NOT NULL,
+//     detail text,
+//     first_flagged_at timestamptz DEFAULT now(),
+//     last_flagged_at timestamptz DEFAULT now(),
+//     UNIQUE (server_id, discord_id, rule)
+//   );
+
+const DISCORD_EPOCH = 1420070400000n;
+const DAY_MS = 24 * 3600 * 1000;
+
+export const SYBIL_RULES = ['account_age', 'guild_tenure', 'shared_wallet'];
+
+/** When a Discord account (or any snowflake) was created. */
+export function snowflakeCreatedAt(id) {
+  return new Date(Number((BigInt(id) >> 22n) + DISCORD_EPOCH));
+}
+
+// A positive whole number, or null (rule off).
+function positiveInt(v) {
+  const n = Number(v);
+  return v != null && Number.isInteger(n) && n > 0 ? n : null;
+}
+
+export function sybilPolicy(settings) {
+  const policy = {
+    min_account_age_days: positiveInt(settings?.min_account_age_days),
+    min_member_days: positiveInt(settings?.min_member_days),
+    max_accounts_per_wallet: positiveInt(settings?.max_accounts_per_wallet),
+  };
+  policy.active = Object.values(policy).some((v) => v != null);
+  return policy;
+}
+
+export function describeSybil(policy) {
+  if (!policy.active) return 'off';
+  const parts = [];
+  if (policy.min_account_age_days) parts.push(`account ≥ ${policy.min_account_age_days}d old`);
+  if (policy.min_member_days) parts.push(`member ≥ ${policy.min_member_days}d`);
+  if (policy.max_accounts_per_wallet) parts.push(`≤ ${policy.max_accounts_per_wallet} account(s) per wallet`);
+  return parts.join(', ');
+}
+
+const plural = (n, word) => `${n} ${word}${n === 1 ? '' : 's'}`;
+
+/**
+ * Run the server's rules for one member. `member_joined_at` is when they joined
+ * the guild (Date or ISO string); unknown counts as too recent.
+ * Returns { ok: true } or { ok: false, rule, detail, message } for the first rule
+ * broken; `message` is safe to show the member.
+ */
+export async function checkSybil(supabase, { discord_id, wallet_address, member_joined_at }, policy, now = new Date()) {
+  if (!policy.active) return { ok: true };
+
+  if (policy.min_account_age_days) {
+    const ageDays = (now - snowflakeCreatedAt(discord_id)) / DAY_MS;
+    if (ageDays < policy.min_account_age_days) {
+      return {
+        ok: false,
+        rule: 'account_age',
+        detail: `account is ${ageDays.toFixed(1)} days old (minimum ${policy.min_account_age_days})`,
+        message: `Your Discord account must be at least ${plural(policy.min_account_age_days, 'day')} old to spin here.`,
+      };
+    }
+  }
+
+  if (policy.min_member_days) {
+    const joined = member_joined_at ? new Date(member_joined_at) : null;
+    const days = joined && !Number.isNaN(joined.getTime()) ? (now - joined) / DAY_MS : null;
+    if (days == null || days < policy.min_member_days) {
+      return {
+        ok: false,
+        rule: 'guild_tenure',
+        detail: days == null
+          ? 'join date unknown'
+          : `member for ${days.toFixed(1)} days (minimum ${policy.min_member_days})`,
+        message: `You must be a member of this server for at least ${plural(policy.min_member_days, 'day')} to spin.`,
+      };
+    }
+  }
+
+  if (policy.max_accounts_per_wallet && wallet_address) {
+    const { count, error } = await supabase
+      .from('users')
+      .select('discord_id', { count: 'exact', head: true })
+      .eq('wallet_address', wallet_address);
+    if (error) throw new Error(error.message);
+    if ((count || 0) > policy.max_accounts_per_wallet) {
+      return {
+        ok: false,
+        rule: 'shared_wallet',
+        detail: `wallet linked to ${count} Discord accounts (maximum ${policy.max_accounts_per_wallet})`,
+        message: `This wallet is linked to too many Discord accounts to spin here. Link a wallet of your own with \`/mywallet\`.`,
+      };
+    }
+  }
+
+  return { ok: true };
+}
+
+/** Record (or refresh) a flag for the admin panel. Never throws. */
+export async function recordSybilFlag(supabase, { server_id, discord_id, wallet_address, rule, detail }) {
+  try {
+    const { error } = await supabase
+      .from('sybil_flags')
+      .upsert(
+        { server_id, discord_id, wallet_address: wallet_address || null, rule, detail, last_flagged_at: new Date().toISOString() },
+        { onConflict: 'server_id,discord_id,rule' }
+      );
+    if (error) console.error(`[sybil] flag ${server_id}/${discord_id} failed: ${error.message}`);
+  } catch (e) {
+    console.error(`[sybil] flag ${server_id}/${discord_id} failed: ${e?.message || e}`);
+  }
+}
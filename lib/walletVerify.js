@@ -0,0 +1,105 @@
+// /lib/walletVerify.js
+// Proof that a Discord user controls the wallet they linked. /mywallet saves the
+// address unverified and issues a one-time challenge; public/verify-wallet.html
+// has the user's wallet sign the challenge text; /api/verify-wallet checks the
+// ed25519 signature against the address and marks the wallet verified. Servers
+// can then refuse spins to unverified wallets (server_settings.require_verified_wallet).
+//
+// Tables (run once):
+//   CREATE TABLE wallet_challenges (
+//     nonce text PRIMARY KEY,
+//     discord_id text NOT NULL,
+//     wallet_address text NOT NULL,
+//     message text NOT NULL,
+//     created_at timestamptz DEFAULT now(),
+//     expires_at timestamptz NOT NULL,
+//     used_at timestamptz
+//   );
+//   ALTER TABLE users ADD COLUMN wallet_verified boolean DEFAULT false,
+//     ADD COLUMN wallet_verified_at timestamptz;
+//
+// Signatures are checked with Node's built-in Ed25519 (same curve and signature
+// format tweetnacl implements), so no new dependency.
+import { createPublicKey, verify, randomBytes } from 'crypto';
+import { PublicKey } from '@solana/web3.js';
+
+const TTL_MINUTES = Number(process.env.WALLET_CHALLENGE_TTL_MINUTES);
+export const CHALLENGE_TTL_MS = (Number.isFinite(TTL_MINUTES) && TTL_MINUTES > 0 ? TTL_MINUTES : 15) * 60 * 1000;
+
+/**
+ * A wallet address we can pay and that can sign: valid base58, 32 bytes, and on
+ * the ed25519 curve. Program-derived addresses are off-curve, and so are most
+ * mistyped addresses — prizes sent to either are unrecoverable.
+ */
+export function isValidWalletAddress(address) {
+  if (typeof address !== 'string' || !/^[1-9A-HJ-NP-Za-km-z]{32,44}$/.test(address)) return false;
+  try {
+    return PublicKey.isOnCurve(new PublicKey(address).toBytes());
+  } catch {
+    return false;
+  }
+}
+
+export function challengeMessage({ discord_id, wallet_address, nonce, issued_at }) {
+  return [
+    'Free Spin wallet verification',
+    '',
+    'Sign this message to prove you own this wallet. It does not send a transaction or cost anything.',
+    '',
+    `Discord user: ${discord_id}`,
+    `Wallet: ${wallet_address}`,
+    `Nonce: ${nonce}`,
+    `Issued: ${issued_at}`,
+  ].join('\n');
+}
+
+/** Store a fresh challenge and return it ({ nonce, message, expires_at }). */
+export async function createWalletChallenge(supabase, { discord_id, wallet_address }) {
+  const nonce = randomBytes(16).toString('hex');
+  const issued_at = new Date().toISOString();
+  const row = {
+    nonce,
+    discord_id,
+    wallet_address,
+    message: challengeMessage({ discord_id, wallet_address, nonce, issued_at }),
+    expires_at: new Date(Date.now() + CHALLENGE_TTL_MS).toISOString(),
+  };
+  const { error } = await supabase.from('wallet_challenges').insert(row);
+  if (error) throw new Error(`challenge insert failed: ${error.message}`);
+  return row;
+}
+
+/** True when `signature` (64 bytes) is `wallet_address`'s ed25519 signature of `message`. */
+export function verifyWalletSignature(wallet_address, message, signature) {
+  try {
+    const raw = new PublicKey(wallet_address).toBytes();
+    const key = createPublicKey({
+      key: { kty: 'OKP', crv: 'Ed25519', x: Buffer.from(raw).toString('base64url') },
+      format: 'jwk',
+    });
+    const sig = Buffer.from(signature);
+    return sig.length === 64 && verify(null, Buffer.from(message, 'utf8'), key, sig);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Whether `discord_id` has verified `wallet_address` specifically: a wallet
+ * changed with /mywallet after verifying is unverified until signed for again.
+ */
+export async function isWalletVerified(supabase, discord_id, wallet_address) {
+  const { data, error } = await supabase
+    .from('users')
+    .select('wallet_address, wallet_verified')
+    .eq('discord_id', discord_id)
+    .maybeSingle();
+  if (error) throw new Error(error.message);
+  return !!data?.wallet_verified && data.wallet_address === wallet_address;
+}
+
+export function verifyUrl(spinUrl, nonce) {
+  const url = new URL('/verify-wallet.html', spinUrl);
+  url.searchParams.set('c', nonce);
+  return url.toString();
+}
@@ -0,0 +1,139 @@
+// /lib/wheel.js
+// Wheel maths shared by the spin flow and everything that has to agree with it
+// after the fact (the review reconciler, admin tooling). Keep these pure: no I/O.
+import { randomInt } from 'crypto';
+
+export const TIERS = ['common', 'uncommon', 'rare', 'epic', 'legendary', 'mythic'];
+
+// Sanitise: a NaN/negative weight from bad config used to make randomInt() throw,
+// which aborted the request *after* the daily slot had been consumed.
+function safeWeights(weights) {
+  return weights.map((w) => {
+    const n = Math.floor(Number(w));
+    return Number.isFinite(n) && n > 0 ? n : 0;
+  });
+}
+
+// `rand` has crypto.randomInt's (min, max) signature; the spin flow passes the
+// seeded one from lib/fairness.js so the draw can be replayed and verified.
+export function pickWeightedIndex(weights, rand = randomInt) {
+  const safe = safeWeights(weights);
+  const total = safe.reduce((a, b) => a + b, 0);
+  if (total <= 0) return rand(0, Math.max(1, safe.length)); // all-zero config → uniform
+  const r = rand(0, total);
+  let acc = 0;
+  for (let i = 0; i < safe.length; i++) {
+    acc += safe[i];
+    if (r < acc) return i;
+  }
+  return safe.length - 1;
+}
+
+/**
+ * The exact distribution pickWeightedIndex() draws from, for previews: per-slice
+ * probability and tier, plus the expected payout per spin and its variance (in
+ * display units). Slices paying the same amount are reported separately.
+ */
+export function wheelOdds(amounts, weights) {
+  const nums = amounts.map(Number);
+  const safe = safeWeights(weights.length === nums.length ? weights : nums.map(() => 1));
+  const total = safe.reduce((a, b) => a + b, 0);
+  const segments = nums.map((amount, i) => ({
+    amount,
+    weight: safe[i],
+    probability: total > 0 ? safe[i] / total : 1 / Math.max(1, nums.length),
+    tier: tierForAmount(amount, nums),
+  }));
+  const expected = segments.reduce((acc, s) => acc + s.probability * s.amount, 0);
+  const variance = segments.reduce((acc, s) => acc + s.probability * (s.amount - expected) ** 2, 0);
+  return { segments, expected, variance, stddev: Math.sqrt(variance) };
+}
+
+export function tierForAmount(amount, amounts) {
+  // Rank by prize VALUE, not by position in the array. The old index-based version
+  // silently mislabelled every wheel whose payout_amounts weren't sorted ascending.
+  const distinct = [...new Set(amounts.map(Number))].sort((a, b) => a - b);
+  if (distinct.length <= 1) return 'common';
+  const rank = distinct.indexOf(Number(amount));
+  if (rank < 0) return 'common';
+  const scaled = Math.floor((rank / (distinct.length - 1)) * (TIERS.length - 1));
+  return TIERS[Math.max(0, Math.min(TIERS.length - 1, scaled))];
+}
+
+// Decimal-string → integer base units. `display * 10**decimals` in floating point
+// truncated some prizes down by one base unit (e.g. 8.2 * 1e6 = 8199999.999...).
+export function toBaseUnits(display, decimals) {
+  const s = String(display).trim();
+  if (!/^-?\d*(\.\d*)?$/.test(s) || s === '' || s === '.') return NaN;
+  const neg = s.startsWith('-');
+  const [intPart = '0', fracPart = ''] = s.replace('-', '').split('.');
+  const frac = (fracPart + '0'.repeat(decimals)).slice(0, decimals);
+  const n = Number(`${intPart}${frac}`.replace(/^0+(?=\d)/, ''));
+  return neg ? -n : n;
+}
+
+// Most SPL mints use 0–9 decimals; anything past 18 is a typo, and the raw amounts
+// would no longer fit in a double anyway.
+export const MAX_DECIMALS = 18;
+
+/**
+ * Check a wheel_configurations row (or a patch merged over one) against what the
+ * spin flow needs to pay every slice. Returns { ok: true, value } with the amounts,
+ * weights and decimals normalised to numbers, or { ok: false, errors: [..] }.
+ *
+ * Missing weights mean "all slices equally likely", as they always have; weights
+ * that ARE given must line up with the amounts one-for-one.
+ */
+export function validateWheelConfig(cfg) {
+  const errors = [];
+
+  const decimals = Number(cfg?.decimals ?? 0);
+  const decimalsOk = Number.isInteger(decimals) && decimals >= 0 && decimals <= MAX_DECIMALS;
+  if (!decimalsOk) {
+    errors.push(`decimals must be a whole number from 0 to ${MAX_DECIMALS}`);
+  }
+
+  const rawAmounts = Array.isArray(cfg?.payout_amounts) ? cfg.payout_amounts : null;
+  if (!rawAmounts || !rawAmounts.length) errors.push('payout_amounts must be a non-empty array');
+
+  const amounts = (rawAmounts || []).map(Number);
+  amounts.forEach((a, i) => {
+    const raw = rawAmounts[i];
+    if (!Number.isFinite(a) || a < 0) {
+      errors.push(`payout_amounts[${i}] must be a finite non-negative number (got ${JSON.stringify(raw)})`);
+      return;
+    }
+    if (!decimalsOk) return;
+    // toBaseUnits() drops digits past `decimals`; a prize it can't hold exactly
+    // would pay less than the wheel shows.
+    const frac = String(raw).trim().split('.')[1] || '';
+    const base = toBaseUnits(raw, decimals);
+    if (frac.replace(/0+$/, '').length > decimals || !Number.isSafeInteger(base)) {
+      errors.push(`payout_amounts[${i}] (${raw}) can't be paid exactly with ${decimals} decimals`);
+    }
+  });
+
+  let weights = null;
+  if (cfg?.payout_weights != null) {
+    if (!Array.isArray(cfg.payout_weights) || cfg.payout_weights.length !== amounts.length) {
+      errors.push(`payout_weights must have one entry per payout amount (${amounts.length})`);
+    } else {
+      // Number(null) and Number('') are 0: a blank weight must fail, not drop its slice.
+      weights = cfg.payout_weights.map((w) =>
+        typeof w === 'number' || (typeof w === 'string' && w.trim() !== '') ? Number(w) : NaN);
+      weights.forEach((w, i) => {
+        // pickWeightedIndex() floors weights, so 0.5 would quietly become 0.
+        if (!Number.isInteger(w) || w < 0) {
+          errors.push(`payout_weights[${i}] must be a whole number ≥ 0 (got ${JSON.stringify(cfg.payout_weights[i])})`);
+        }
+      });
+      if (weights.every((w) => !(w > 0))) errors.push('at least one payout weight must be positive');
+    }
+  }
+
+  if (errors.length) return { ok: false, errors };
+  return {
+    ok: true,
+    value: { payout_amounts: amounts, payout_weights: weights || amounts.map(() => 1), decimals },
+  };
+}
@@ -0,0 +1,207 @@
+import { client, supabase } from './index.js';
+import { solLevel, tokenLevel, lamportsNeeded, POOL_THRESHOLDS } from './lib/pool.js';
+import { payoutBackend } from './lib/payout/index.js';
+import { toBaseUnits } from './lib/wheel.js';
+
+// Watches the funding wallet for every server that has an alert channel set
+// (/spinconfig alerts) and posts there when the SOL or a token balance crosses the
+// warning/critical thresholds in lib/pool.js, when it recovers, and when
+// /api/spin refused spins. pool_alerts is the de-duplication state; see lib/pool.js.
+
+const HOUR_MS = 3600 * 1000;
+
+const fmt = (n, d = 4) => Number(n).toLocaleString('en-US', { maximumFractionDigits: d });
+const sol = (lamports) => fmt(lamports / 1e9);
+
+async function post(channelId, content) {
+  const channel = await client.channels.fetch(channelId).catch(() => null);
+  if (!channel?.isTextBased?.()) throw new Error(`alert channel ${channelId} not found or not a text channel`);
+  await channel.send({ content, allowedMentions: { parse: [] } });
+}
+
+// The last alert of this kind we actually posted for this server (+ token).
+async function lastPosted(server_id, contract_address, kind) {
+  let q = supabase
+    .from('pool_alerts')
+    .select('level, posted_at')
+    .eq('server_id', server_id)
+    .eq('kind', kind)
+    .eq('suppressed', false)
+    .not('posted_at', 'is', null)
+    .order('posted_at', { ascending: false })
+    .limit(1);
+  q = contract_address ? q.eq('contract_address', contract_address) : q.is('contract_address', null);
+  const { data, error } = await q.maybeSingle();
+  if (error) throw new Error(`pool_alerts query failed: ${error.message}`);
+  return data;
+}
+
+// Post a balance alert if the level changed since the last one, or the same
+// problem is still there after repeatHours. Recovery to 'ok' is posted once.
+async function maybeAlert({ server_id, channelId, contract_address = null, kind, level, message, now }) {
+  const last = await lastPosted(server_id, contract_address, kind);
+  const lastLevel = last?.level || 'ok';
+  const stale = last && now - new Date(last.posted_at).getTime() >= POOL_THRESHOLDS.repeatHours * HOUR_MS;
+  if (level === lastLevel && !(level !== 'ok' && stale)) return false;
+
+  await post(channelId, message);
+  const { error } = await supabase.from('pool_alerts').insert({
+    server_id, contract_address, kind, level, detail: message, posted_at: new Date(now).toISOString(),
+  });
+  if (error) console.error(`[pool-alerts] record failed: ${error.message}`);
+  return true;
+}
+
+function solMessage(level, lamports, wallet) {
+  if (level === 'critical') {
+    return `🚨 **Prize pool out of gas.** The funding wallet \`${wallet}\` has ${sol(lamports)} SOL; ` +
+      `paying a new winner needs ${sol(lamportsNeeded(1))} SOL. Spins are being refused until it is topped up.`;
+  }
+  if (level === 'warning') {
+    return `⚠️ **Prize pool gas is low:** ${sol(lamports)} SOL left in \`${wallet}\` ` +
+      `(warning below ${sol(POOL_THRESHOLDS.solWarnLamports)} SOL).`;
+  }
+  return `✅ Prize pool gas is back to ${sol(lamports)} SOL.`;
+}
+
+function tokenMessage(level, name, balanceRaw, maxPrizeRaw, decimals) {
+  const bal = fmt(balanceRaw / 10 ** decimals);
+  const top = fmt(maxPrizeRaw / 10 ** decimals);
+  if (level === 'critical') {
+    return `🚨 **${name} prize pool can't cover the top prize.** ${bal} ${name} left; the top prize is ${top}. Spins that land on it are being refused.`;
+  }
+  if (level === 'warning') {
+    return `⚠️ **${name} prize pool is running low:** ${bal} ${name} left ` +
+      `(less than ${POOL_THRESHOLDS.tokenWarnPrizes}× the top prize of ${top}).`;
+  }
+  return `✅ ${name} prize pool is back to ${bal} ${name}.`;
+}
+
+// Refusals are queued by /api/spin with posted_at null. One message per server +
+// token per repeat window; the rest are marked suppressed so they're not re-read.
+async function flushRefusals(channels, names, now) {
+  const { data: rows, error } = await supabase
+    .from('pool_alerts')
+    .select('id, server_id, contract_address, detail, created_at')
+    .eq('kind', 'refused')
+    .is('posted_at', null)
+    .order('created_at', { ascending: true })
+    .limit(500);
+  if (error) throw new Error(`pool_alerts query failed: ${error.message}`);
+  if (!rows?.length) return;
+
+  const groups = new Map();
+  for (const r of rows) {
+    const key = `${r.server_id}|${r.contract_address || ''}`;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(r);
+  }
+
+  const nowISO = new Date(now).toISOString();
+  for (const group of groups.values()) {
+    const { server_id, contract_address } = group[0];
+    const channelId = channels.get(server_id);
+    const last = channelId ? await lastPosted(server_id, contract_address, 'refused') : null;
+    const recent = last && now - new Date(last.posted_at).getTime() < POOL_THRESHOLDS.repeatHours * HOUR_MS;
+    const ids = group.map((r) => r.id);
+
+    let posted = false;
+    if (channelId && !recent) {
+      const name = names.get(`${server_id}|${contract_address}`) || 'token';
+      const latest = group[group.length - 1];
+      try {
+        await post(channelId,
+          `🚫 **${group.length} ${name} spin${group.length === 1 ? ' was' : 's were'} refused** by the prize pool. ` +
+          `Latest: ${latest.detail || 'no detail'}. Players were told their spin was not used.`);
+        posted = true;
+      } catch (e) {
+        console.error(`[pool-alerts] ${server_id}: ${e?.message || e}`);
+        continue; // leave them queued; the channel may be fixed by the next pass
+      }
+    }
+
+    // The first row carries the post; the rest of the batch (or all of it, when
+    // nothing was posted) is marked as folded into an earlier message.
+    const [head, ...rest] = ids;
+    if (posted) await supabase.from('pool_alerts').update({ posted_at: nowISO }).eq('id', head);
+    const folded = posted ? rest : ids;
+    if (folded.length) await supabase.from('pool_alerts').update({ posted_at: nowISO, suppressed: true }).in('id', folded);
+  }
+}
+
+async function checkPoolAlerts() {
+  const payout = payoutBackend();
+  const funder = payout.fundingAddress();
+  if (!funder) {
+    console.error('[pool-alerts] FUNDING_WALLET_PUBLIC_KEY is not set; skipping');
+    return;
+  }
+  const now = Date.now();
+
+  const { data: settingsRows, error: sErr } = await supabase
+    .from('server_settings')
+    .select('server_id, alert_channel_id')
+    .not('alert_channel_id', 'is', null);
+  if (sErr) throw new Error(`server_settings query failed: ${sErr.message}`);
+  const channels = new Map((settingsRows || []).map((r) => [r.server_id, r.alert_channel_id]));
+
+  const serverIds = [...channels.keys()];
+  let tokens = [];
+  let cfgs = [];
+  if (serverIds.length) {
+    const [{ data: st, error: stErr }, { data: wc, error: wcErr }] = await Promise.all([
+      supabase.from('server_tokens').select('server_id, contract_address, enabled').in('server_id', serverIds),
+      supabase.from('wheel_configurations').select('server_id, contract_address, token_name, payout_amounts, decimals').in('server_id', serverIds),
+    ]);
+    if (stErr) throw new Error(`server_tokens query failed: ${stErr.message}`);
+    if (wcErr) throw new Error(`wheel_configurations query failed: ${wcErr.message}`);
+    tokens = (st || []).filter((t) => t.enabled !== false);
+    cfgs = wc || [];
+  }
+  const cfgByKey = new Map(cfgs.map((c) => [`${c.server_id}|${c.contract_address}`, c]));
+  const names = new Map(cfgs.map((c) => [`${c.server_id}|${c.contract_address}`, c.token_name || 'token']));
+
+  if (serverIds.length) {
+    const lamports = await payout.solBalance();
+    const level = solLevel(lamports);
+    for (const server_id of serverIds) {
+      try {
+        await maybeAlert({
+          server_id, channelId: channels.get(server_id), kind: 'sol', level, now,
+          message: solMessage(level, lamports, funder),
+        });
+      } catch (e) {
+        console.error(`[pool-alerts] ${server_id} sol: ${e?.message || e}`);
+      }
+    }
+
+    const balances = new Map(); // one RPC read per mint, however many servers share it
+    for (const t of tokens) {
+      const cfg = cfgByKey.get(`${t.server_id}|${t.contract_address}`);
+      if (!cfg) continue;
+      const decimals = Number(cfg.decimals) || 0;
+      const prizes = (Array.isArray(cfg.payout_amounts) ? cfg.payout_amounts : [])
+        .map((a) => toBaseUnits(a, decimals))
+        .filter(Number.isFinite);
+      const maxPrizeRaw = prizes.length ? Math.max(...prizes) : 0;
+      try {
+        if (!balances.has(t.contract_address)) {
+          balances.set(t.contract_address, await payout.tokenBalance(t.contract_address));
+        }
+        const bal = balances.get(t.contract_address);
+        const level = tokenLevel(bal, maxPrizeRaw);
+        await maybeAlert({
+          server_id: t.server_id, channelId: channels.get(t.server_id), contract_address: t.contract_address,
+          kind: 'token', level, now,
+          message: tokenMessage(level, cfg.token_name || 'token', bal, maxPrizeRaw, decimals),
+        });
+      } catch (e) {
+        console.error(`[pool-alerts] ${t.server_id}/${t.contract_address}: ${e?.message || e}`);
+      }
+    }
+  }
+
+  await flushRefusals(channels, names, now);
+}
+
+export { checkPoolAlerts };
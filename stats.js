@@ -0,0 +1,121 @@
+import { supabase, retryQuery } from './index.js';
+import { selectAllRows } from './lib/fetchAll.js';
+import { loadServerSettings } from './lib/serverSettings.js';
+import { streakPolicy, spinStreak } from './lib/streaks.js';
+import { leaderboard, resolveTokenForServer } from './leaderboards.js';
+
+const SOLSCAN_TX = 'https://solscan.io/tx/';
+
+// A daily_spins row whose payout isn't settled yet: locked for review after an
+// unconfirmed send (lib/reconcile.js settles it), or still in flight.
+function isPending(row) {
+  return row.tier === 'review' || !row.tx_signature || row.tx_signature === 'UNCONFIRMED';
+}
+
+function toBase(raw) {
+  return raw != null ? BigInt(String(raw).split('.')[0]) : 0n;
+}
+
+function display(base, decimals) {
+  return Number(base) / (10 ** (decimals || 0));
+}
+
+function discordTime(iso, style = 'R') {
+  return `<t:${Math.floor(new Date(iso).getTime() / 1000)}:${style}>`;
+}
+
+// /spinstats [token_name] — the caller's own history on this server.
+async function handleSpinStatsCommand(interaction) {
+  try {
+    await interaction.deferReply({ flags: 64 });
+  } catch (error) {
+    console.error(`Defer reply failed: ${error.message}`);
+    return;
+  }
+
+  const server_id = interaction.guildId;
+  const discord_id = interaction.user.id;
+  const token_name = interaction.options.getString('token_name');
+
+  const tok = await resolveTokenForServer(server_id, token_name);
+  if (tok.error) return interaction.editReply({ content: `❌ ${tok.error}`, flags: 64 });
+
+  // Every token, so the totals can cover all of them; the detail is for `tok`.
+  const [{ data: rows, error }, { data: cfgs }] = await Promise.all([
+    retryQuery(() =>
+      selectAllRows(() =>
+        supabase
+          .from('daily_spins')
+          .select('id, contract_address, payout_amount_raw, tier, tx_signature, created_at')
+          .eq('server_id', server_id)
+          .eq('discord_id', discord_id)
+          .order('id', { ascending: true })
+      )
+    ),
+    retryQuery(() =>
+      supabase.from('wheel_configurations').select('contract_address, token_name, decimals').eq('server_id', server_id)
+    ),
+  ]);
+  if (error) return interaction.editReply({ content: '❌ Failed to fetch your spins.', flags: 64 });
+  if (!rows?.length) {
+    return interaction.editReply({ content: `You haven't spun on this server yet. Try \`/spin\`!`, flags: 64 });
+  }
+
+  const cfgByMint = new Map((cfgs || []).map(c => [c.contract_address, c]));
+  const totals = new Map();
+  for (const r of rows) {
+    const t = totals.get(r.contract_address) || { spins: 0, won: 0n, pending: 0 };
+    t.spins += 1;
+    if (isPending(r)) t.pending += 1;
+    else t.won += toBase(r.payout_amount_raw);
+    totals.set(r.contract_address, t);
+  }
+
+  const mine = rows
+    .filter(r => r.contract_address === tok.contract_address)
+    .sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+  const settled = mine.filter(r => !isPending(r));
+  const best = settled.reduce((b, r) => (!b || toBase(r.payout_amount_raw) > toBase(b.payout_amount_raw) ? r : b), null);
+
+  const settings = await loadServerSettings(supabase, server_id);
+  let streak = null;
+  try {
+    streak = await spinStreak(supabase, { server_id, discord_id, contract_address: tok.contract_address }, streakPolicy(settings), settings);
+  } catch (e) {
+    console.error(`Streak lookup error: ${e.message}`);
+  }
+
+  const board = await leaderboard(server_id, tok, { period: '30d' });
+  const rank = board.error ? -1 : board.list.findIndex(e => e.discord_id === discord_id);
+
+  const lines = [`**Your spin stats** — ${interaction.guild?.name || 'this server'}`];
+  lines.push(`Total spins: **${rows.length}**`);
+  for (const [mint, t] of totals) {
+    const cfg = cfgByMint.get(mint);
+    const name = cfg?.token_name || `${mint.slice(0, 4)}…${mint.slice(-4)}`;
+    const pending = t.pending ? ` · ${t.pending} pending` : '';
+    lines.push(`• ${name}: ${display(t.won, cfg?.decimals)} won in ${t.spins} ${t.spins === 1 ? 'spin' : 'spins'}${pending}`);
+  }
+
+  lines.push('', `**${tok.token_name}**`);
+  lines.push(`Best win: ${best ? `**${display(toBase(best.payout_amount_raw), tok.decimals)}** (${best.tier || 'common'}) ${discordTime(best.created_at, 'd')}` : '—'}`);
+  if (streak) lines.push(`Current streak: **${streak.current}** ${streak.current === 1 ? 'day' : 'days'}`);
+  lines.push(`30-day rank: ${rank >= 0 ? `**#${rank + 1}** of ${board.list.length}` : '—'}`);
+
+  const recent = mine.slice(-10).reverse();
+  if (recent.length) {
+    lines.push('', `**Last ${recent.length} ${recent.length === 1 ? 'spin' : 'spins'}**`);
+    for (const r of recent) {
+      const when = discordTime(r.created_at);
+      if (isPending(r)) {
+        lines.push(`• ${when} — ⏳ pending${r.tx_signature && r.tx_signature !== 'UNCONFIRMED' ? ` · [tx](<${SOLSCAN_TX}${r.tx_signature}>)` : ''}`);
+      } else {
+        lines.push(`• ${when} — ${display(toBase(r.payout_amount_raw), tok.decimals)} ${tok.token_name} (${r.tier || 'common'}) · [tx](<${SOLSCAN_TX}${r.tx_signature}>)`);
+      }
+    }
+  }
+
+  return interaction.editReply({ content: lines.join('\n'), flags: 64 });
+}
+
+export { handleSpinStatsCommand };